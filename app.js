@@ -1,215 +1,2327 @@
+class GitHubAuth {
+    // Resolves a token from, in order: options.token, a user-entered token in
+    // sessionStorage, or an async options.getToken() callback (e.g. a local proxy).
+    // No token means anonymous REST mode.
+    constructor(options = {}) {
+        this.staticToken = options.token || null;
+        this.tokenCallback = typeof options.getToken === 'function' ? options.getToken : null;
+        this.storageKey = options.tokenStorageKey || 'github-dashboard-token';
+        this.callbackToken = null;
+        this.callbackRefreshed = false;
+        this.pendingCallback = null;
+        this.rejected = false;
+    }
+
+    async getToken() {
+        if (this.rejected) return null;
+        if (this.staticToken) return this.staticToken;
+
+        const storedToken = this.getStoredToken();
+        if (storedToken) return storedToken;
+
+        if (!this.tokenCallback) return null;
+        if (this.callbackToken) return this.callbackToken;
+
+        // Share one in-flight callback between concurrent requests
+        if (!this.pendingCallback) {
+            this.pendingCallback = Promise.resolve()
+                .then(() => this.tokenCallback())
+                .then(token => {
+                    this.callbackToken = typeof token === 'string' && token.trim() ? token.trim() : null;
+                    return this.callbackToken;
+                })
+                .catch(error => {
+                    console.warn('getToken() callback failed:', error);
+                    return null;
+                })
+                .finally(() => {
+                    this.pendingCallback = null;
+                });
+        }
+        return this.pendingCallback;
+    }
+
+    getStoredToken() {
+        try {
+            return window.sessionStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setStoredToken(token) {
+        try {
+            if (token) {
+                window.sessionStorage.setItem(this.storageKey, token.trim());
+            } else {
+                window.sessionStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('sessionStorage unavailable, token not saved:', error);
+        }
+        this.rejected = false;
+    }
+
+    hasStoredToken() {
+        return Boolean(this.getStoredToken());
+    }
+
+    reportUnauthorized() {
+        // A rejected callback token may just have expired, so ask once more;
+        // anything else rejected is dropped for the rest of the session.
+        if (this.callbackToken && !this.staticToken && !this.getStoredToken() && !this.callbackRefreshed) {
+            this.callbackToken = null;
+            this.callbackRefreshed = true;
+            return;
+        }
+        this.rejected = true;
+    }
+}
+
+class ApiCache {
+    // Response cache: an in-memory Map in front of localStorage, with a TTL per
+    // resource type and entry/byte limits. Expired entries are still returned
+    // (fresh: false) so callers can render them while revalidating. Entries set
+    // with authenticated: true (fetched with a token) belong to the current token
+    // scope and stay in memory only, unless persistTokenData opts in to storing
+    // them; a different token never reads them.
+    static DEFAULT_TTL = {
+        profile: 6 * 60 * 60 * 1000,
+        calendar: 10 * 60 * 1000,
+        calendarPast: 30 * 24 * 60 * 60 * 1000,
+        rest: 10 * 60 * 1000,
+        default: 5 * 60 * 1000
+    };
+
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'github-dashboard-cache:';
+        this.indexKey = `${this.prefix}__index`;
+        this.ttl = { ...ApiCache.DEFAULT_TTL, ...(options.ttl || {}) };
+        this.maxEntries = options.maxEntries || 400;
+        this.maxBytes = options.maxBytes || 2 * 1024 * 1024;
+        this.storage = options.storage === undefined ? ApiCache.getDefaultStorage() : options.storage;
+        this.persistTokenData = Boolean(options.persistTokenData);
+        // Hash of the token in use (never the token itself); null when anonymous
+        this.scope = null;
+        this.memory = new Map();
+        this.index = this.readIndex();
+    }
+
+    static getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async tokenScope(token) {
+        // SHA-256 where Web Crypto is available; the short hash is only a fallback
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+            return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return ApiCache.hash(token);
+    }
+
+    setScope(scope) {
+        // Entries fetched with another token are dropped from memory; stored ones
+        // are left for that token but no longer returned
+        if (scope === this.scope) return;
+        this.scope = scope;
+        [...this.memory.entries()].forEach(([key, entry]) => {
+            if (entry.authenticated && entry.scope !== scope) {
+                this.memory.delete(key);
+            }
+        });
+    }
+
+    static hash(value) {
+        let hash = 5381;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    get(key) {
+        let entry = this.memory.get(key);
+        if (!entry && this.storage && this.index[key]) {
+            try {
+                entry = JSON.parse(this.storage.getItem(this.prefix + key));
+            } catch (error) {
+                entry = null;
+            }
+            if (entry) {
+                this.memory.set(key, entry);
+            } else {
+                this.delete(key);
+            }
+        }
+        if (!entry || (entry.authenticated && entry.scope !== this.scope)) return null;
+
+        const age = Date.now() - entry.timestamp;
+        const ttl = this.ttl[entry.type] ?? this.ttl.default;
+        return { ...entry, meta: entry.meta || {}, age, fresh: age < ttl };
+    }
+
+    set(key, data, type = 'default', meta = {}, { authenticated = false } = {}) {
+        const entry = authenticated
+            ? { data, type, meta, timestamp: Date.now(), authenticated, scope: this.scope }
+            : { data, type, meta, timestamp: Date.now() };
+        const persist = !authenticated || (this.persistTokenData && Boolean(this.scope));
+        // An older copy must not outlive a memory-only one in storage
+        if (!persist && this.index[key]) {
+            this.delete(key);
+        }
+        // Re-inserted so the memory trim in enforceLimits() drops the oldest first
+        this.memory.delete(key);
+        this.memory.set(key, entry);
+
+        if (persist && this.storage) {
+            const serialized = JSON.stringify(entry);
+            // Too large to store: it stays in memory only
+            if (serialized.length <= this.maxBytes && !this.persist(key, serialized)) {
+                // Quota exceeded: drop the older half and try once more
+                this.evict(Math.ceil(Object.keys(this.index).length / 2));
+                this.persist(key, serialized);
+            }
+        }
+        this.enforceLimits();
+    }
+
+    persist(key, serialized) {
+        try {
+            this.storage.setItem(this.prefix + key, serialized);
+            this.index[key] = { timestamp: Date.now(), size: serialized.length };
+            this.writeIndex();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    delete(key) {
+        this.memory.delete(key);
+        if (this.storage) {
+            try {
+                this.storage.removeItem(this.prefix + key);
+            } catch (error) {
+                // Storage went away; the index entry is dropped regardless
+            }
+        }
+        if (this.index[key]) {
+            delete this.index[key];
+            this.writeIndex();
+        }
+    }
+
+    clear() {
+        Object.keys(this.index).forEach(key => this.delete(key));
+        this.memory.clear();
+        this.index = {};
+        this.writeIndex();
+    }
+
+    enforceLimits() {
+        const keys = Object.keys(this.index);
+        const totalBytes = keys.reduce((sum, key) => sum + this.index[key].size, 0);
+        if (keys.length > this.maxEntries || totalBytes > this.maxBytes) {
+            // Evict down to 90% of the limits so every write doesn't evict again
+            let excessEntries = keys.length - Math.floor(this.maxEntries * 0.9);
+            let excessBytes = totalBytes - Math.floor(this.maxBytes * 0.9);
+            const oldestFirst = keys.sort((a, b) => this.index[a].timestamp - this.index[b].timestamp);
+            for (const key of oldestFirst) {
+                if (excessEntries <= 0 && excessBytes <= 0) break;
+                excessEntries--;
+                excessBytes -= this.index[key].size;
+                this.delete(key);
+            }
+        }
+
+        while (this.memory.size > this.maxEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    evict(count) {
+        Object.keys(this.index)
+            .sort((a, b) => this.index[a].timestamp - this.index[b].timestamp)
+            .slice(0, count)
+            .forEach(key => this.delete(key));
+    }
+
+    readIndex() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(this.indexKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeIndex() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.indexKey, JSON.stringify(this.index));
+        } catch (error) {
+            console.warn('Failed to write cache index:', error);
+        }
+    }
+}
+
+class RequestScheduler {
+    // Runs API requests with bounded concurrency, tracks the REST and GraphQL
+    // rate limits, and retries 5xx / secondary-limit responses with jittered
+    // exponential backoff. Tasks return a fetch Response.
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.lowWater = options.lowWater ?? 20;
+        this.active = 0;
+        this.queue = [];
+        this.pausedUntil = 0;
+        this.resumeTimer = null;
+        this.limits = { rest: null, graphql: null };
+        // Requests promised to batches that are still running, see reserve()
+        this.reserved = { rest: 0, graphql: 0 };
+        this.lastGraphQLCost = null;
+        this.onUpdate = null;
+    }
+
+    schedule(task, resource = 'rest', signal = null) {
+        // Aborting `signal` (a destroyed dashboard) drops the job if it is still
+        // queued or waiting to retry; a scheduler can be shared by several dashboards
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Request cancelled', 'AbortError'));
+                return;
+            }
+            // The abort listener is removed once the job settles, so finished
+            // requests aren't kept alive by a long-lived dashboard signal
+            const onAbort = () => this.cancel(job);
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            const job = { task, resource, resolve: settle(resolve), reject: settle(reject), attempt: 0, signal, retryTimer: null };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.queue.push(job);
+            this.pump();
+        });
+    }
+
+    reserve(resource, requests) {
+        // Claims up to `requests` of the remaining quota (less lowWater) for a batch
+        // about to start, so batches planned in parallel don't all count on the same
+        // `remaining`. Returns the number granted; release() it when the batch ends.
+        const limit = this.limits[resource];
+        const available = limit
+            ? Math.max(0, limit.remaining - this.lowWater - this.reserved[resource])
+            : requests;
+        const granted = Math.min(requests, available);
+        this.reserved[resource] += granted;
+        return granted;
+    }
+
+    release(resource, requests) {
+        this.reserved[resource] = Math.max(0, this.reserved[resource] - requests);
+    }
+
+    cancel(job) {
+        clearTimeout(job.retryTimer);
+        job.retryTimer = null;
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+        job.reject(new DOMException('Request cancelled', 'AbortError'));
+        // Nothing left to resume for
+        if (this.queue.length === 0 && this.resumeTimer) {
+            clearTimeout(this.resumeTimer);
+            this.resumeTimer = null;
+        }
+    }
+
+    getConcurrency(resource) {
+        // Slow to one request at a time when the quota is nearly spent
+        const limit = this.limits[resource];
+        return limit && limit.remaining <= this.lowWater ? 1 : this.concurrency;
+    }
+
+    pump() {
+        const waitMs = this.pausedUntil - Date.now();
+        if (waitMs > 0) {
+            if (!this.resumeTimer) {
+                this.resumeTimer = setTimeout(() => {
+                    this.resumeTimer = null;
+                    this.pump();
+                }, waitMs);
+            }
+            return;
+        }
+
+        while (this.queue.length > 0 && this.active < this.getConcurrency(this.queue[0].resource)) {
+            this.run(this.queue.shift());
+        }
+    }
+
+    async run(job) {
+        this.active++;
+        let retryIn = null;
+        try {
+            const response = await job.task();
+            this.updateLimits(job.resource, response);
+            retryIn = await this.getRetryDelay(response, job.attempt);
+            if (retryIn === null) {
+                job.resolve(response);
+            }
+        } catch (error) {
+            // Network failures are retried like 5xx responses
+            retryIn = job.attempt < this.maxRetries ? this.backoff(job.attempt) : null;
+            if (retryIn === null) {
+                job.reject(error);
+            }
+        } finally {
+            this.active--;
+        }
+
+        if (retryIn !== null && !(job.signal && job.signal.aborted)) {
+            job.attempt++;
+            console.warn(`Retrying ${job.resource} request in ${Math.round(retryIn)}ms (attempt ${job.attempt})`);
+            job.retryTimer = setTimeout(() => {
+                job.retryTimer = null;
+                this.queue.unshift(job);
+                this.pump();
+            }, retryIn);
+        }
+        this.pump();
+    }
+
+    async getRetryDelay(response, attempt) {
+        if (attempt >= this.maxRetries) return null;
+
+        const retryAfter = Number(response.headers?.get('retry-after'));
+        // A 403 is only a secondary limit when GitHub says so; other 403s
+        // (forbidden, primary exhaustion) fail at once without pausing the queue
+        const isSecondaryLimit = response.status === 429
+            || (response.status === 403 && (retryAfter > 0 || await this.mentionsSecondaryLimit(response)));
+
+        if (isSecondaryLimit) {
+            // Secondary limits apply to the whole client, so hold the queue too
+            const delay = retryAfter > 0 ? retryAfter * 1000 : this.backoff(attempt + 2);
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            return delay;
+        }
+        if (response.status >= 500) {
+            return this.backoff(attempt);
+        }
+        // Primary limit exhaustion (remaining 0) is not retried: the reset can be an hour away
+        return null;
+    }
+
+    async mentionsSecondaryLimit(response) {
+        if (typeof response.clone !== 'function') return false;
+        try {
+            const body = await response.clone().text();
+            return /secondary rate limit/i.test(body);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    backoff(attempt) {
+        const base = this.retryDelay * 2 ** attempt;
+        return base / 2 + Math.random() * base;
+    }
+
+    updateLimits(resource, response) {
+        const headers = response.headers;
+        if (!headers || typeof headers.get !== 'function') return;
+        const remaining = headers.get('x-ratelimit-remaining');
+        if (remaining === null) return;
+
+        this.limits[resource] = {
+            remaining: Number(remaining),
+            limit: Number(headers.get('x-ratelimit-limit')) || null,
+            reset: Number(headers.get('x-ratelimit-reset')) * 1000 || null
+        };
+        this.notify();
+    }
+
+    recordGraphQLCost(rateLimit) {
+        if (!rateLimit) return;
+        this.lastGraphQLCost = rateLimit.cost;
+        this.limits.graphql = {
+            remaining: rateLimit.remaining,
+            limit: rateLimit.limit,
+            reset: rateLimit.resetAt ? new Date(rateLimit.resetAt).getTime() : null
+        };
+        this.notify();
+    }
+
+    notify() {
+        if (typeof this.onUpdate === 'function') {
+            this.onUpdate(this.limits, this.lastGraphQLCost);
+        }
+    }
+}
+
+class GraphQLBatchBuilder {
+    // Packs independent root selections into aliased GraphQL documents, starting a
+    // new chunk whenever the estimated node count or selection count would exceed
+    // the limits. Each selection declares its own variables, which are renamed per
+    // alias so several `user(login: $user)` selections can share one document.
+    constructor(options = {}) {
+        this.maxNodes = options.maxNodes || 100000;
+        this.maxSelections = options.maxSelections || 50;
+        this.items = [];
+    }
+
+    // variables: { name: [type, value] }; selection: (vars) => field text using vars.name
+    add({ key, variables, selection, nodes = 1, payload = null }) {
+        this.items.push({ key, variables, selection, nodes, payload });
+        return this;
+    }
+
+    build() {
+        const chunks = [];
+        let current = null;
+
+        this.items.forEach(item => {
+            if (!current || current.nodes + item.nodes > this.maxNodes || current.items.length >= this.maxSelections) {
+                current = { nodes: 0, items: [] };
+                chunks.push(current);
+            }
+            current.nodes += item.nodes;
+            current.items.push(item);
+        });
+
+        return chunks.map(chunk => {
+            const definitions = [];
+            const variables = {};
+            const selections = chunk.items.map((item, index) => {
+                const alias = `b${index}`;
+                const names = {};
+                Object.entries(item.variables).forEach(([name, [type, value]]) => {
+                    const aliasedName = `${alias}_${name}`;
+                    definitions.push(`$${aliasedName}: ${type}`);
+                    variables[aliasedName] = value;
+                    names[name] = `$${aliasedName}`;
+                });
+                return `${alias}: ${item.selection(names)}`;
+            });
+
+            return {
+                query: `query(${definitions.join(', ')}) {\n${selections.join('\n')}\n}`,
+                variables,
+                items: chunk.items.map((item, index) => ({ ...item, alias: `b${index}` }))
+            };
+        });
+    }
+}
+
+class ContributionStats {
+    // Pure aggregate statistics over a date -> count map. `ranges` is a list of
+    // { start, end } Dates; days outside them are ignored and a gap between two
+    // ranges breaks a streak. Days after `today` (a local midnight Date) never count.
+    static compute(contributionData = {}, ranges = [], today = CalendarLayout.today()) {
+
+        const stats = {
+            total: 0,
+            activeDays: 0,
+            totalDays: 0,
+            activePercentage: 0,
+            averagePerActiveDay: 0,
+            currentStreak: { length: 0, start: null, end: null },
+            longestStreak: { length: 0, start: null, end: null },
+            busiestDay: { date: null, count: 0 },
+            weekdayDistribution: [0, 0, 0, 0, 0, 0, 0],
+            monthDistribution: new Array(12).fill(0)
+        };
+
+        let streak = { length: 0, start: null, end: null };
+        let priorStreak = streak;
+        let lastDate = null;
+
+        const sortedRanges = [...ranges].sort((a, b) => a.start - b.start);
+        sortedRanges.forEach(range => {
+            const end = range.end < today ? range.end : today;
+            // Ranges that don't touch break the running streak
+            if (lastDate && Math.round((range.start - lastDate) / (24 * 60 * 60 * 1000)) > 1) {
+                streak = { length: 0, start: null, end: null };
+            }
+
+            const current = new Date(range.start);
+            while (current <= end) {
+                const dateStr = CalendarLayout.formatDateKey(current);
+                const count = contributionData[dateStr] || 0;
+
+                stats.totalDays++;
+                stats.total += count;
+                stats.weekdayDistribution[current.getDay()] += count;
+                stats.monthDistribution[current.getMonth()] += count;
+
+                priorStreak = streak;
+                if (count > 0) {
+                    stats.activeDays++;
+                    if (count > stats.busiestDay.count) {
+                        stats.busiestDay = { date: dateStr, count };
+                    }
+                    streak = {
+                        length: streak.length + 1,
+                        start: streak.start || dateStr,
+                        end: dateStr
+                    };
+                    if (streak.length > stats.longestStreak.length) {
+                        stats.longestStreak = { ...streak };
+                    }
+                } else {
+                    streak = { length: 0, start: null, end: null };
+                }
+
+                lastDate = new Date(current);
+                current.setDate(current.getDate() + 1);
+            }
+        });
+
+        // A streak is current if it reaches today, or yesterday while today is still idle
+        if (lastDate) {
+            const daysSinceLast = Math.round((today - lastDate) / (24 * 60 * 60 * 1000));
+            if (daysSinceLast === 0) {
+                stats.currentStreak = streak.length > 0 ? streak : priorStreak;
+            } else if (daysSinceLast === 1) {
+                stats.currentStreak = streak;
+            }
+        }
+
+        stats.activePercentage = stats.totalDays > 0
+            ? Math.round((stats.activeDays / stats.totalDays) * 1000) / 10
+            : 0;
+        stats.averagePerActiveDay = stats.activeDays > 0
+            ? Math.round((stats.total / stats.activeDays) * 10) / 10
+            : 0;
+        return stats;
+    }
+}
+
+class CalendarLayout {
+    // Calendar geometry and level maths shared by the DOM grid and the SVG
+    // export. No DOM access, so it also runs under Node.
+    static DAY_SIZE = 10;
+    static DAY_GAP = 3;
+    static MONTH_GAP = 8;
+    static MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    static DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+    static FIXED_THRESHOLDS = [2, 5, 8];
+    // One Intl.DateTimeFormat per time zone, see getZonedParts
+    static zonedFormatters = new Map();
+
+    static toPeriod(year) {
+        if (year && typeof year === 'object') return year;
+        return {
+            key: year,
+            label: String(year),
+            start: new Date(year, 0, 1),
+            end: new Date(year, 11, 31)
+        };
+    }
+
+    // Calendar days are local Dates at midnight keyed by their local
+    // YYYY-MM-DD; a time zone only decides which day an instant falls on.
+    static formatDateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static parseDateKey(dateStr) {
+        // new Date('YYYY-MM-DD') is UTC midnight, the previous day west of UTC
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static getViewerTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static getZonedParts(instant, timeZone) {
+        const date = new Date(instant);
+        if (!timeZone) {
+            return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds() };
+        }
+        let formatter = CalendarLayout.zonedFormatters.get(timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+            CalendarLayout.zonedFormatters.set(timeZone, formatter);
+        }
+        const parts = {};
+        formatter.formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        return parts;
+    }
+
+    static dateKeyAt(instant, timeZone = null) {
+        // The YYYY-MM-DD an ISO timestamp (or Date) falls on in `timeZone` (local when null)
+        const { year, month, day } = CalendarLayout.getZonedParts(instant, timeZone);
+        return CalendarLayout.formatDateKey(new Date(year, month - 1, day));
+    }
+
+    static today(timeZone = null) {
+        return CalendarLayout.parseDateKey(CalendarLayout.dateKeyAt(Date.now(), timeZone));
+    }
+
+    static getUtcOffset(dateStr, time, timeZone = null) {
+        // "+05:30" / "-08:00" in effect at that wall-clock time
+        const [hour, minute, second] = time.split(':').map(Number);
+        const [year, month, day] = dateStr.split('-').map(Number);
+        let minutes;
+        if (timeZone) {
+            const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+            const parts = CalendarLayout.getZonedParts(wallClock, timeZone);
+            const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            minutes = Math.round((zoned - wallClock) / 60000);
+        } else {
+            minutes = -new Date(year, month - 1, day, hour, minute, second).getTimezoneOffset();
+        }
+        const pad = (value) => String(value).padStart(2, '0');
+        const sign = minutes < 0 ? '-' : '+';
+        return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+    }
+
+    static toDateTime(dateStr, time, timeZone = null) {
+        // An ISO 8601 DateTime for a wall-clock time on a calendar day in `timeZone`
+        return `${dateStr}T${time}${CalendarLayout.getUtcOffset(dateStr, time, timeZone)}`;
+    }
+
+    static getMonthSegments(period) {
+        // The calendar months a period touches, in order
+        const segments = [];
+        const cursor = new Date(period.start.getFullYear(), period.start.getMonth(), 1);
+        while (cursor <= period.end) {
+            segments.push({ year: cursor.getFullYear(), month: cursor.getMonth() });
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+        return segments;
+    }
+
+    static getMonthBlockRange(year, monthIndex, period = CalendarLayout.toPeriod(year)) {
+        // The month, clipped to the period, padded out to whole Sunday-Saturday weeks
+        const monthStartDate = new Date(Math.max(new Date(year, monthIndex, 1), period.start));
+        const monthEndDate = new Date(Math.min(new Date(year, monthIndex + 1, 0), period.end));
+        
+        // Get the first Sunday of the week containing the first day of the month
+        const firstDayOfWeek = monthStartDate.getDay(); // 0 = Sunday
+        const startDate = new Date(monthStartDate);
+        startDate.setDate(startDate.getDate() - firstDayOfWeek);
+        
+        // Calculate end date to complete the grid (next Saturday)
+        const endDate = new Date(monthEndDate);
+        const lastDayOfWeek = endDate.getDay();
+        const saturdayOffset = lastDayOfWeek === 6 ? 0 : 6 - lastDayOfWeek;
+        endDate.setDate(endDate.getDate() + saturdayOffset);
+
+        return { monthStartDate, monthEndDate, startDate, endDate };
+    }
+
+    static calculateMonthBlockWidth(year, monthIndex, period) {
+        // Calculate the width of a month block based on the number of weeks it spans
+        const { startDate, endDate } = CalendarLayout.getMonthBlockRange(year, monthIndex, period);
+        
+        // Calculate the number of weeks (columns) in this month
+        const totalDays = Math.round((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
+        const numberOfWeeks = Math.ceil(totalDays / 7);
+        
+        // The month block uses grid-auto-flow: column, so each column is one week:
+        // number of weeks * day width + (number of weeks - 1) * column gap
+        return numberOfWeeks * CalendarLayout.DAY_SIZE + (numberOfWeeks - 1) * CalendarLayout.DAY_GAP;
+    }
+
+    static getContributionLevel(count, scale = null) {
+        const [first, second, third] = scale ? scale.thresholds : CalendarLayout.FIXED_THRESHOLDS;
+        if (count === 0) return 0;
+        if (count <= first) return 1;
+        if (count <= second) return 2;
+        if (count <= third) return 3;
+        return 4;
+    }
+
+    static buildIntensityScale(counts, type = 'quartile') {
+        // Upper bounds for levels 1-3; level 4 is everything above. 'quartile' splits the
+        // active days into quarters like GitHub does, 'log' and 'linear' split 1..max.
+        const active = counts.filter(count => count > 0).sort((a, b) => a - b);
+        const max = active.length > 0 ? active[active.length - 1] : 0;
+        let thresholds;
+
+        if (type === 'fixed' || max === 0) {
+            thresholds = [...CalendarLayout.FIXED_THRESHOLDS];
+        } else if (type === 'quartile') {
+            const quantile = (fraction) => active[Math.max(Math.ceil(fraction * active.length) - 1, 0)];
+            thresholds = [quantile(0.25), quantile(0.5), quantile(0.75)];
+        } else if (type === 'log') {
+            thresholds = [1, 2, 3].map(step => Math.ceil(Math.exp((Math.log(max + 1) * step) / 4) - 1));
+        } else {
+            thresholds = [1, 2, 3].map(step => Math.ceil((max * step) / 4));
+        }
+
+        // Keep bounds non-decreasing; equal bounds leave a level empty
+        for (let i = 1; i < thresholds.length; i++) {
+            thresholds[i] = Math.max(thresholds[i], thresholds[i - 1]);
+        }
+        return { type, thresholds, max };
+    }
+
+    static getLevelRanges(scale) {
+        // [min, max] contributions per level; null for a level no count can reach
+        const [first, second, third] = scale.thresholds;
+        const bounds = [[1, first], [first + 1, second], [second + 1, third], [third + 1, Math.max(scale.max, third + 1)]];
+        return [[0, 0], ...bounds.map(([min, max]) => (min <= max ? [min, max] : null))];
+    }
+
+    static formatLevelRange(range, level, scale) {
+        if (!range) return '–';
+        if (level === 4 && scale.max <= range[0]) return `${range[0]}+`;
+        if (range[0] === range[1]) return String(range[0]);
+        return `${range[0]}–${range[1]}`;
+    }
+}
+
+class CalendarSVG {
+    // Standalone SVG rendering of one calendar section: header, month and day
+    // labels, the month-block grid and the level legend, laid out with
+    // CalendarLayout so it matches the page. Returns a string; no DOM needed:
+    //
+    //   CalendarSVG.render({ period: 2025, days: { '2025-03-01': 4 }, scale: 'log' })
+    //
+    // `scale` is a scale object or a scale type; `cellColors(dateStr, count, level)`
+    // may return a list of colours to draw a day as vertical stripes.
+    static LEVEL_COLORS = ['#eaecef', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+    static TEXT_COLOR = '#24292e';
+    static MUTED_COLOR = '#586069';
+    static SEPARATOR_COLOR = '#e1e4e8';
+    static FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif";
+    // Suffixes the clip path id: several inlined SVGs must not share one id
+    static renderCount = 0;
+
+    static render(options = {}) {
+        const period = CalendarLayout.toPeriod(options.period || new Date().getFullYear());
+        const days = options.days || {};
+        const levelColors = options.levelColors || CalendarSVG.LEVEL_COLORS;
+        const background = options.background === undefined ? '#ffffff' : options.background;
+        const escape = CalendarSVG.escape;
+        const clipId = `day-dot-${++CalendarSVG.renderCount}`;
+        const { DAY_SIZE, DAY_GAP, MONTH_GAP } = CalendarLayout;
+        const step = DAY_SIZE + DAY_GAP;
+
+        const counts = [];
+        for (let day = new Date(period.start); day <= period.end; day.setDate(day.getDate() + 1)) {
+            counts.push(days[CalendarLayout.formatDateKey(day)] || 0);
+        }
+        const scale = options.scale && typeof options.scale === 'object'
+            ? options.scale
+            : CalendarLayout.buildIntensityScale(counts, options.scale || 'quartile');
+        const total = options.total ?? counts.reduce((sum, count) => sum + count, 0);
+        const title = options.title ?? `${period.label}: ${total} Contributions`;
+
+        const padding = 16;
+        const gridLeft = padding + DAY_SIZE + 7;
+        const headerY = padding + 12;
+        const monthLabelY = headerY + 24;
+        const gridTop = monthLabelY + 8;
+        const gridHeight = 7 * step - DAY_GAP;
+
+        const parts = [];
+        const separators = [];
+        const monthLabels = [];
+        let x = gridLeft;
+        const segments = CalendarLayout.getMonthSegments(period);
+
+        segments.forEach(({ year, month }, index) => {
+            const width = CalendarLayout.calculateMonthBlockWidth(year, month, period);
+            const { monthStartDate, monthEndDate, startDate, endDate } = CalendarLayout.getMonthBlockRange(year, month, period);
+
+            // A clipped month a single week wide has no room for its name
+            if (width > 10) {
+                monthLabels.push(`<text x="${x + 2}" y="${monthLabelY}">${CalendarLayout.MONTH_NAMES[month]}</text>`);
+            }
+
+            let column = 0;
+            for (let day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
+                const dateStr = CalendarLayout.formatDateKey(day);
+                const count = days[dateStr] || 0;
+                const inBlock = day >= monthStartDate && day <= monthEndDate;
+                const level = inBlock ? CalendarLayout.getContributionLevel(count, scale) : 0;
+                const cx = x + column * step + DAY_SIZE / 2;
+                const cy = gridTop + day.getDay() * step + DAY_SIZE / 2;
+                const opacity = inBlock ? '' : ' opacity="0.2"';
+                const stripes = inBlock && count > 0 && options.cellColors ? options.cellColors(dateStr, count, level) : null;
+                const label = `<title>${escape(`${count} contributions on ${dateStr}`)}</title>`;
+
+                if (stripes && stripes.length > 0) {
+                    const width = DAY_SIZE / stripes.length;
+                    const rects = stripes.map((color, stripe) =>
+                        `<rect x="${cx - DAY_SIZE / 2 + stripe * width}" y="${cy - DAY_SIZE / 2}" width="${width}" height="${DAY_SIZE}" fill="${escape(color)}"/>`
+                    ).join('');
+                    parts.push(`<g clip-path="url(#${clipId})">${label}${rects}</g>`);
+                } else {
+                    parts.push(`<circle cx="${cx}" cy="${cy}" r="${DAY_SIZE / 2}" fill="${levelColors[level]}"${opacity}>${label}</circle>`);
+                }
+                if (day.getDay() === 6) column++;
+            }
+
+            if (index < segments.length - 1) {
+                const separatorX = x + width + MONTH_GAP / 2;
+                separators.push(`<line x1="${separatorX}" y1="${gridTop}" x2="${separatorX}" y2="${gridTop + gridHeight}" stroke="${CalendarSVG.SEPARATOR_COLOR}"/>`);
+            }
+            x += width + MONTH_GAP;
+        });
+
+        const gridRight = x - MONTH_GAP;
+        const width = gridRight + padding;
+        const dayLabels = CalendarLayout.DAY_LABELS.map((day, row) =>
+            `<text x="${padding + DAY_SIZE / 2}" y="${gridTop + row * step + DAY_SIZE - 1}" text-anchor="middle" font-size="9" fill="#959da5">${day}</text>`
+        );
+
+        // Legend, laid out right to left from the grid's right edge
+        const legendY = gridTop + gridHeight + 8 + DAY_SIZE;
+        const charWidth = 6;
+        const legend = [];
+        let legendX = gridRight;
+        const legendText = (text, anchorX) => `<text x="${anchorX}" y="${legendY}" text-anchor="end">${escape(text)}</text>`;
+        legend.push(legendText('More', legendX));
+        legendX -= 'More'.length * charWidth + 8;
+        CalendarLayout.getLevelRanges(scale).map((range, level) => ({ range, level })).reverse().forEach(({ range, level }) => {
+            const text = CalendarLayout.formatLevelRange(range, level, scale);
+            legend.push(legendText(text, legendX));
+            legendX -= text.length * charWidth + 3 + DAY_SIZE / 2;
+            legend.push(`<circle cx="${legendX}" cy="${legendY - DAY_SIZE / 2 + 1}" r="${DAY_SIZE / 2}" fill="${levelColors[level]}"/>`);
+            legendX -= DAY_SIZE / 2 + 8;
+        });
+        legend.push(legendText('Less', legendX));
+
+        const height = legendY + padding;
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escape(CalendarSVG.FONT)}">`,
+            `<defs><clipPath id="${clipId}" clipPathUnits="objectBoundingBox"><circle cx="0.5" cy="0.5" r="0.5"/></clipPath></defs>`,
+            background ? `<rect width="100%" height="100%" fill="${escape(background)}"/>` : '',
+            `<text x="${padding}" y="${headerY}" font-size="14" font-weight="600" fill="${CalendarSVG.TEXT_COLOR}">${escape(title)}</text>`,
+            `<g font-size="12" fill="${CalendarSVG.MUTED_COLOR}">${monthLabels.join('')}</g>`,
+            `<g>${dayLabels.join('')}</g>`,
+            `<g>${separators.join('')}</g>`,
+            `<g>${parts.join('')}</g>`,
+            `<g font-size="11" fill="${CalendarSVG.MUTED_COLOR}">${legend.join('')}</g>`,
+            '</svg>'
+        ].join('\n');
+    }
+
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
 class GitHubDashboard {
+    static CONTRIBUTION_TYPES = [
+        { key: 'commits', singular: 'commit', plural: 'commits' },
+        { key: 'pullRequests', singular: 'PR', plural: 'PRs' },
+        { key: 'issues', singular: 'issue', plural: 'issues' },
+        { key: 'reviews', singular: 'review', plural: 'reviews' }
+    ];
+
+    static FIXED_THRESHOLDS = CalendarLayout.FIXED_THRESHOLDS;
+
+    static PROFILE_FIELDS = `
+                    login
+                    name
+                    avatarUrl
+                    bio
+                    followers {
+                      totalCount
+                    }
+                    following {
+                      totalCount
+                    }
+                    repositories(isFork: false, privacy: PUBLIC) {
+                      totalCount
+                    }
+                    starredRepositories {
+                      totalCount
+                    }
+                    createdAt
+                    contributionsCollection {
+                      contributionYears
+                    }`;
+
+    // Per-day type detail is limited to the first 100 nodes per connection;
+    // days beyond that keep their calendar count and show up as "other"
+    static CALENDAR_FIELDS = `
+                  totalCommitContributions
+                  totalPullRequestContributions
+                  totalIssueContributions
+                  totalPullRequestReviewContributions
+                  contributionCalendar {
+                    weeks {
+                      contributionDays {
+                        date
+                        contributionCount
+                      }
+                    }
+                  }
+                  commitContributionsByRepository(maxRepositories: 100) {
+                    contributions(first: 100) {
+                      nodes {
+                        occurredAt
+                        commitCount
+                      }
+                    }
+                  }
+                  pullRequestContributions(first: 100) {
+                    nodes {
+                      occurredAt
+                    }
+                  }
+                  issueContributions(first: 100) {
+                    nodes {
+                      occurredAt
+                    }
+                  }
+                  pullRequestReviewContributions(first: 100) {
+                    nodes {
+                      occurredAt
+                    }
+                  }`;
+
+    // Rough node counts used to size batched queries (100 repos x 100 commit days dominate)
+    static PROFILE_NODES = 10;
+    static CALENDAR_NODES = 10800;
+
+    static USER_COLORS = ['#2da44e', '#8250df', '#0969da', '#bf3989', '#bc4c00', '#1b7c83', '#9a6700', '#cf222e'];
+
+    static THEMES = ['auto', 'light', 'dark', 'high-contrast'];
+
+    // GitHub logins: alphanumerics and single inner hyphens, at most 39 characters
+    static LOGIN_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+    // Account colours are shaded with withAlpha(), which needs hex
+    static HEX_COLOR = /^#(?:[\da-f]{3}|[\da-f]{6})$/i;
+
+    // The dashboard's markup, shared by the index.html shell and <github-multi-dashboard>
+    static MARKUP = `
+        <div class="container">
+            <div id="error-banner" class="error-banner" role="alert" hidden>
+                <ul id="error-banner-messages" class="error-banner-messages"></ul>
+                <button id="error-banner-dismiss" class="error-banner-dismiss" type="button" aria-label="Dismiss errors">&times;</button>
+            </div>
+
+            <div class="profile-header">
+                <div class="profile-left">
+                    <div id="profile-avatar-stack" class="avatar-stack"></div>
+                    <div class="profile-info">
+                        <p id="profile-username" class="username"></p>
+                        <div class="stacked-info">
+                            <div id="stat-lines" class="stat-lines"></div>
+                            <p id="profile-bio" class="bio"></p>
+                        </div>
+                    </div>
+                </div>
+                <div class="profile-right">
+                    <div id="contribution-stats" class="contribution-stats"></div>
+                    <div id="user-commit-breakdown" class="user-commit-breakdown"></div>
+                </div>
+            </div>
+
+            <div id="auth-panel" class="auth-panel">
+                <div class="auth-info">
+                    <p id="auth-status" class="auth-status"></p>
+                    <p id="rate-limit" class="rate-limit"></p>
+                </div>
+                <form id="auth-form" class="auth-form" autocomplete="off">
+                    <input id="auth-token-input" type="password" placeholder="GitHub token (kept for this tab only)" aria-label="GitHub token">
+                    <button type="submit">Use token</button>
+                    <button id="auth-forget" type="button">Forget token</button>
+                </form>
+            </div>
+
+            <div class="contributions-section">
+                <div id="dashboard-toolbar" class="dashboard-toolbar">
+                    <div id="year-picker" class="year-picker" aria-label="Years"></div>
+                    <button id="view-mode" type="button" aria-pressed="false">Last 365 days</button>
+                    <button id="color-mode" type="button" aria-pressed="false">Per-user colours</button>
+                    <button id="compare-mode" type="button" aria-pressed="false">Compare accounts</button>
+                    <select id="intensity-scale" aria-label="Intensity scale">
+                        <option value="quartile">Quartile scale</option>
+                        <option value="log">Log scale</option>
+                        <option value="linear">Linear scale</option>
+                        <option value="fixed">Fixed scale</option>
+                    </select>
+                    <form id="org-form" class="org-form" autocomplete="off">
+                        <input id="org-input" type="text" placeholder="org or org/team" aria-label="GitHub organization or team">
+                        <button type="submit">Load org</button>
+                    </form>
+                    <div id="range-filter" class="range-filter" role="group" aria-label="Date range">
+                        <input id="range-from" type="date" aria-label="Range start">
+                        <span aria-hidden="true">–</span>
+                        <input id="range-to" type="date" aria-label="Range end">
+                        <button id="range-clear" type="button" hidden>Clear range</button>
+                    </div>
+                    <button id="auto-refresh" type="button" aria-pressed="false">Auto-refresh</button>
+                    <button id="export-csv" type="button">Export CSV</button>
+                    <button id="export-json" type="button">Export JSON</button>
+                    <label class="import-button">Import<input id="import-file" type="file" accept=".json,.csv,application/json,text/csv"></label>
+                    <button id="clear-cache" type="button">Clear cache</button>
+                </div>
+                <div id="user-legend" class="user-legend" hidden></div>
+                <div id="range-summary" class="range-summary" aria-live="polite" hidden></div>
+                <div id="all-years-container" class="all-years-container">
+                    <!-- All years will be populated by JavaScript -->
+                </div>
+                <div id="day-detail" class="day-detail" hidden></div>
+            </div>
+
+        </div>
+    `;
+
+    // Where an account's data came from, best first; failures rank last
+    static STATUS_STATES = {
+        graphql: { rank: 0, label: 'GraphQL' },
+        cached: { rank: 1, label: 'Cached' },
+        imported: { rank: 1, label: 'Imported' },
+        rest: { rank: 2, label: 'REST estimate' },
+        partial: { rank: 3, label: 'Partial REST estimate' },
+        'rate-limited': { rank: 4, label: 'Rate-limited', failure: true },
+        'auth-failed': { rank: 4, label: 'Auth failed', failure: true },
+        'not-found': { rank: 4, label: 'Not found', failure: true },
+        failed: { rank: 4, label: 'Fetch failed', failure: true }
+    };
+
     constructor(options = {}) {
-        this.currentYear = new Date().getFullYear();
-        this.apiCache = new Map();
+        // Display time zone: which day is "today" and which day a timestamp lands on.
+        // options.accountTimeZones ({ login: 'Asia/Tokyo' }) buckets an account in its own zone.
+        this.timeZone = CalendarLayout.getViewerTimeZone();
+        if (options.timeZone) {
+            if (CalendarLayout.isValidTimeZone(options.timeZone)) {
+                this.timeZone = options.timeZone;
+            } else {
+                console.warn(`Unknown time zone "${options.timeZone}", using ${this.timeZone || 'local time'}`);
+            }
+        }
+        this.accountTimeZones = Object.fromEntries(
+            Object.entries(options.accountTimeZones || {}).filter(([, zone]) => CalendarLayout.isValidTimeZone(zone))
+        );
+        this.currentYear = this.getToday().getFullYear();
+        this.cache = options.cache instanceof ApiCache ? options.cache : new ApiCache(options.cache || {});
+        this.revalidating = new Set();
+        this.revalidateTimer = null;
+        // Outcome of the last fetch per cache key: { state, age }
+        this.fetchStatus = new Map();
+        this.isLoading = false;
         this.availableYears = [];
+        this.yearOptions = {
+            years: options.years,
+            from: options.from,
+            to: options.to,
+            expand: options.expandYears || 2
+        };
+        this.calendarMode = options.mode === 'rolling' ? 'rolling' : 'years';
+        this.colorMode = options.colorMode === 'per-user' ? 'per-user' : 'combined';
+        // 'merged': one calendar per period; 'compare': one row per account on a shared scale
+        this.layout = options.layout === 'compare' ? 'compare' : 'merged';
+        this.userColors = this.normalizeUserColors(options.userColors);
+        this.theme = this.normalizeTheme(options.theme);
+        this.intensityScale = ['quartile', 'log', 'linear', 'fixed'].includes(options.scale) ? options.scale : 'quartile';
+        this.hiddenUsers = new Set();
+        this.expandedYears = null;
+        this.yearData = new Map();
+        this.yearLoads = new Map();
         this.currentUsers = [];
         this.currentUserProfiles = [];
-        // Token is split to reduce secret-scanner noise while keeping default auth
-        const defaultTokenParts = ['ghp', '_v4uv7BK0RctqDkHJNJp', 'FmP1c4z1JEJ2VecqI'];
-        this.githubToken = options.token || defaultTokenParts.join('');
+        this.auth = options.auth || new GitHubAuth(options);
+        this.scheduler = options.scheduler || new RequestScheduler(options);
+        this.scheduler.onUpdate = () => this.renderRateLimit();
+        this.batchOptions = { maxNodes: options.maxBatchNodes, maxSelections: options.maxBatchSelections };
         this.root = options.root || document;
         this.defaultUsers = ['gradientwolf', 'oppenheimmer'];
+        this.users = this.resolveUsers(options);
+        this.organization = this.resolveOrganization(options);
+        this.maxMembers = options.maxMembers || 30;
+        this.restRepoLimit = options.restRepoLimit || 10;
+        this.restCommitPages = options.restCommitPages || 3;
         this.activeTooltip = null;
-        this.init();
+        this.activeTooltipAnchor = null;
+        this.handleDocumentClick = null;
+        this.dayDetails = new Map();
+        this.selectedDate = null;
+        // Day that keeps the grid's single tab stop across re-renders
+        this.focusedDate = null;
+        // Custom date range ({ from, to } date keys) totalled from memory
+        this.selectedRange = null;
+        this.rangeDrag = null;
+        this.suppressDayClick = false;
+        this.stats = null;
+        this.renderedPeriods = [];
+        // Set while showing an imported file; no requests are made until the next load
+        this.snapshot = null;
+        this.currentLoad = null;
+        this.reloadRequested = false;
+        // Bumped by every load and import; a load that sees a newer value stops
+        this.loadGeneration = 0;
+        this.renderGeneration = 0;
+        this.destroyed = false;
+        // Aborting removes every listener the dashboard added outside its rendered calendars
+        this.abortController = new AbortController();
+        this.listeners = new Map();
+        Object.entries(options.on || {}).forEach(([event, handler]) => this.on(event, handler));
+        // Scale each rendered section was shaded with, by period key
+        this.sectionScales = new Map();
+        // options.autoRefresh: true, an interval in ms, or { interval, days }
+        const autoRefresh = typeof options.autoRefresh === 'object' ? options.autoRefresh : { interval: options.autoRefresh };
+        this.autoRefresh = {
+            enabled: Boolean(options.autoRefresh),
+            interval: Math.max(Number(autoRefresh.interval) || 600000, 60000),
+            days: autoRefresh.days || 7
+        };
+        this.pollTimer = null;
+        this.lastPoll = 0;
+        this.init(options.autoLoad !== false);
     }
 
-    init() {
+    init(autoLoad = true) {
+        this.applyTheme();
         this.setupAvailableYears();
-        this.loadProfiles(this.defaultUsers); // Default user pair
+        this.setupAuthPanel();
+        this.setupToolbar();
+        if (autoLoad) {
+            this.loadDashboard();
+        }
         this.setupGlobalListeners();
+        if (this.autoRefresh.enabled) {
+            this.startAutoRefresh();
+        }
     }
 
-    qs(selector) {
-        return this.root.querySelector(selector);
+    on(event, handler) {
+        // Returns a function that removes the handler again
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
     }
 
-    setupAvailableYears() {
-        const currentYear = new Date().getFullYear();
-        // Only current year and previous year
-        this.availableYears = [currentYear, currentYear - 1];
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) handlers.delete(handler);
     }
 
-    async loadProfiles(usernames) {
-        try {
-            this.showLoading();
-            this.currentUsers = usernames;
+    emit(event, detail = {}) {
+        // Handlers registered with on(), plus a DOM CustomEvent on the root element
+        // (the custom element's host inside a shadow root) for host pages
+        (this.listeners.get(event) || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${event} handler:`, error);
+            }
+        });
+        const target = this.root.host || this.getRootElement();
+        if (target && typeof target.dispatchEvent === 'function') {
+            // Prefixed so a bubbling `error` never reaches window error monitors
+            target.dispatchEvent(new CustomEvent(`dashboard:${event}`, { detail, bubbles: true }));
+        }
+    }
 
-            const profiles = [];
-            const query = `
-                query($user: String!) {
-                  user(login: $user) {
-                    login
-                    name
-                    avatarUrl
-                    bio
-                    followers {
-                      totalCount
-                    }
-                    following {
-                      totalCount
-                    }
-                    repositories(isFork: false, privacy: PUBLIC) {
-                      totalCount
+    setUsers(users) {
+        // Switches to an explicit account list, leaving organization mode
+        const list = this.parseUserList(users);
+        if (list.length === 0) {
+            return Promise.reject(new Error('setUsers() needs at least one login'));
+        }
+        this.users = list;
+        this.organization = null;
+        const orgInput = this.qs('#org-input');
+        if (orgInput) orgInput.value = '';
+        this.expandedYears = null;
+        this.hiddenUsers.clear();
+        return this.loadDashboard();
+    }
+
+    setYears(years) {
+        // A count of recent years, a list of years, or { years, from, to }
+        const range = years && typeof years === 'object' && !Array.isArray(years) ? years : { years };
+        this.yearOptions = { ...this.yearOptions, years: range.years, from: range.from, to: range.to };
+        this.setupAvailableYears(this.currentUserProfiles);
+        this.expandedYears = null;
+        return this.loadDashboard();
+    }
+
+    refresh() {
+        // Cached data still within its TTL is reused; Clear cache forces a full refetch
+        return this.loadDashboard();
+    }
+
+    setTheme(theme) {
+        // Re-renders from memory: per-user colours are inline styles
+        this.theme = this.normalizeTheme(theme);
+        this.applyTheme();
+        if (this.currentUserProfiles.length > 0) {
+            this.renderUserLegend();
+            this.renderExpandedYears();
+        }
+    }
+
+    normalizeTheme(theme) {
+        // 'auto' | 'light' | 'dark' | 'high-contrast', or
+        // { base, levels: [five colours, level 0 to 4], users: [accent colours] }
+        const options = typeof theme === 'string' ? { base: theme } : (theme || {});
+        const base = GitHubDashboard.THEMES.includes(options.base) ? options.base : 'auto';
+        const levels = Array.isArray(options.levels) && options.levels.length === 5 ? options.levels : null;
+        if (options.levels && !levels) {
+            console.warn('theme.levels needs five colours (level 0 to 4); using the theme defaults');
+        }
+        const validUsers = Array.isArray(options.users) ? options.users.filter(color => GitHubDashboard.isHexColor(color)) : [];
+        if (Array.isArray(options.users) && validUsers.length < options.users.length) {
+            console.warn('theme.users only accepts #rgb or #rrggbb colours; ignoring the others');
+        }
+        const users = validUsers.length > 0 ? validUsers : null;
+        return { base, levels, users };
+    }
+
+    normalizeUserColors(userColors) {
+        // { login: '#rrggbb' }; anything else falls back to the palette
+        return Object.fromEntries(Object.entries(userColors || {}).filter(([login, color]) => {
+            if (GitHubDashboard.isHexColor(color)) return true;
+            console.warn(`Ignoring colour for ${login}: use #rgb or #rrggbb`);
+            return false;
+        }));
+    }
+
+    static isHexColor(color) {
+        return typeof color === 'string' && GitHubDashboard.HEX_COLOR.test(color);
+    }
+
+    applyTheme() {
+        // The page shell themes <html> too, so the page background and tooltips on <body> follow
+        const targets = [this.qs('.container')];
+        if (this.root.nodeType === Node.DOCUMENT_NODE) {
+            targets.push(document.documentElement);
+        }
+        targets.filter(Boolean).forEach(element => {
+            element.dataset.theme = this.theme.base;
+            for (let level = 0; level < 5; level++) {
+                if (this.theme.levels) {
+                    element.style.setProperty(`--level-${level}`, this.theme.levels[level]);
+                } else {
+                    element.style.removeProperty(`--level-${level}`);
+                }
+            }
+        });
+    }
+
+    startAutoRefresh(interval = this.autoRefresh.interval) {
+        // Polls the last few days on an interval while the tab is visible
+        this.autoRefresh.enabled = true;
+        this.autoRefresh.interval = Math.max(Number(interval) || this.autoRefresh.interval, 60000);
+        this.lastPoll = Date.now();
+        this.scheduleNextPoll();
+        this.renderAutoRefreshToggle();
+    }
+
+    stopAutoRefresh() {
+        this.autoRefresh.enabled = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.renderAutoRefreshToggle();
+    }
+
+    scheduleNextPoll() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        if (!this.autoRefresh.enabled || this.destroyed || document.hidden) return;
+        const wait = Math.max(this.lastPoll + this.autoRefresh.interval - Date.now(), 0);
+        this.pollTimer = setTimeout(() => this.pollRecentDays().finally(() => this.scheduleNextPoll()), wait);
+    }
+
+    handleVisibilityChange() {
+        // Hidden tabs stop polling; on return, an overdue poll runs straight away
+        if (document.hidden) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        } else {
+            this.scheduleNextPoll();
+        }
+    }
+
+    async pollRecentDays() {
+        this.lastPoll = Date.now();
+        // Full loads, imported files and a low GraphQL quota skip the tick
+        if (this.isLoading || this.currentLoad || this.snapshot || this.destroyed) return;
+        const graphqlLimit = this.scheduler.limits.graphql;
+        if (graphqlLimit && graphqlLimit.remaining <= this.scheduler.lowWater) {
+            console.warn('Auto-refresh skipped: GraphQL quota is low');
+            return;
+        }
+        // The REST estimate costs dozens of requests per account, too many to poll
+        if (!(await this.auth.getToken())) return;
+
+        const today = this.getToday();
+        const start = new Date(today);
+        start.setDate(start.getDate() - (this.autoRefresh.days - 1));
+        if (start.getFullYear() !== today.getFullYear()) {
+            start.setFullYear(today.getFullYear(), 0, 1);
+        }
+        const query = this.getCalendarQuery();
+
+        const results = await Promise.all(this.currentUserProfiles.map(async (user) => {
+            // A day-stable range keeps one cache key per day, so polls inside the TTL are served from cache
+            const timeZone = this.getTimeZone(user.login);
+            const from = CalendarLayout.toDateTime(CalendarLayout.formatDateKey(start), '00:00:00', timeZone);
+            const to = CalendarLayout.toDateTime(CalendarLayout.formatDateKey(today), '23:59:59', timeZone);
+            const variables = { user: user.login, from, to };
+            const cacheKey = this.getGraphQLCacheKey(query, variables);
+            const cached = this.cache.get(cacheKey);
+            const data = cached && cached.fresh
+                ? cached.data
+                : await this.requestGraphQL(query, variables, cacheKey, 'calendar');
+            return data && data.user ? this.parseContributionsCollection(data.user.contributionsCollection || {}, timeZone) : null;
+        }));
+        if (this.destroyed || this.currentLoad) return;
+
+        const changed = this.applyRecentDays(results);
+        if (changed.size > 0) {
+            this.patchRenderedDays(changed);
+            this.emit('update', { dates: [...changed].sort() });
+        }
+    }
+
+    applyRecentDays(results) {
+        // Merges polled days into the loaded year data; returns the dates that changed
+        const changed = new Set();
+        this.currentUserProfiles.forEach((user, index) => {
+            const recent = results[index];
+            if (!recent) return;
+            Object.entries(recent.days).forEach(([dateStr, count]) => {
+                const yearData = this.yearData.get(Number(dateStr.slice(0, 4)));
+                if (!yearData || !yearData.perUserMaps[user.login]) return;
+
+                const days = yearData.perUserMaps[user.login];
+                const dayTypes = yearData.perUserTypeMaps[user.login] = yearData.perUserTypeMaps[user.login] || {};
+                const oldCount = days[dateStr] || 0;
+                const oldTypes = dayTypes[dateStr] || {};
+                const newTypes = recent.dayTypes[dateStr] || {};
+                if (oldCount === count && JSON.stringify(oldTypes) === JSON.stringify(newTypes)) return;
+
+                days[dateStr] = count;
+                dayTypes[dateStr] = newTypes;
+                yearData.combinedContributionData[dateStr] = (yearData.combinedContributionData[dateStr] || 0) + count - oldCount;
+                yearData.combinedYearContributions += count - oldCount;
+                // Year type totals move by the difference in that day's typed detail
+                const typeTotals = yearData.perUserTypeTotals[user.login] = yearData.perUserTypeTotals[user.login] || {};
+                GitHubDashboard.CONTRIBUTION_TYPES.forEach(({ key }) => {
+                    const delta = (newTypes[key] || 0) - (oldTypes[key] || 0);
+                    if (delta === 0) return;
+                    typeTotals[key] = (typeTotals[key] || 0) + delta;
+                    yearData.combinedTypeTotals[key] = (yearData.combinedTypeTotals[key] || 0) + delta;
+                });
+                changed.add(dateStr);
+            });
+        });
+        changed.forEach(dateStr => {
+            [...this.dayDetails.keys()].filter(key => key.endsWith(dateStr)).forEach(key => this.dayDetails.delete(key));
+        });
+        return changed;
+    }
+
+    patchRenderedDays(dates) {
+        // Swaps only the changed cells and the header total of each year section.
+        // A shifted scale (new busiest day) or the rolling window re-renders from memory.
+        const usersData = this.currentUserProfiles;
+        const years = [...new Set([...dates].map(dateStr => Number(dateStr.slice(0, 4))))];
+        const needsRender = this.calendarMode === 'rolling' || this.getCompareUsers(usersData) || years.some(year => {
+            const section = this.qs(`.year-section[data-period="${year}"]`);
+            if (!section) return false;
+            const yearData = this.yearData.get(year);
+            const scale = this.buildIntensityScale(
+                this.collectShadedCounts(yearData.combinedContributionData, this.toPeriod(year), usersData, yearData.perUserMaps)
+            );
+            return JSON.stringify(scale) !== JSON.stringify(this.sectionScales.get(String(year)));
+        });
+        if (needsRender) {
+            this.renderExpandedYears();
+            return;
+        }
+
+        years.forEach(year => {
+            const section = this.qs(`.year-section[data-period="${year}"]`);
+            if (!section) return;
+            const yearData = this.yearData.get(year);
+            const scale = this.sectionScales.get(String(year));
+            [...dates].filter(dateStr => dateStr.startsWith(`${year}-`)).forEach(dateStr => {
+                section.querySelectorAll(`.contribution-day[data-date="${dateStr}"]`).forEach(cell => {
+                    const replacement = this.buildDayCell(
+                        dateStr,
+                        !cell.classList.contains('outside'),
+                        yearData.combinedContributionData,
+                        usersData,
+                        yearData.perUserMaps,
+                        yearData.perUserTypeMaps,
+                        scale
+                    );
+                    const hadFocus = cell.matches(':focus');
+                    if (cell.tabIndex === 0) {
+                        replacement.tabIndex = 0;
                     }
-                    starredRepositories {
-                      totalCount
+                    cell.replaceWith(replacement);
+                    if (hadFocus) {
+                        replacement.focus();
                     }
-                  }
-                }
-            `;
+                });
+            });
 
-            for (const username of usernames) {
-                const result = await this.fetchGraphQL(query, { user: username });
-
-                if (!result || !result.user) {
-                    this.showError(`User ${username} not found or GraphQL error`);
-                    profiles.push({
-                        login: username,
-                        name: username,
-                        followers: 0,
-                        following: 0,
-                        public_repos: 0,
-                        starred_repos: 0,
-                        bio: `Could not load profile for ${username}.`,
-                        avatar_url: ''
-                    });
-                    continue;
+            const header = section.querySelector('.year-header');
+            if (header && header.firstChild) {
+                header.firstChild.nodeValue = `${year}: ${yearData.combinedYearContributions} Contributions`;
+            }
+            let breakdown = section.querySelector('.year-header-breakdown');
+            if (!breakdown && header) {
+                breakdown = document.createElement('span');
+                breakdown.className = 'year-header-breakdown';
+                header.appendChild(breakdown);
+            }
+            if (breakdown) {
+                breakdown.textContent = this.formatTypeBreakdown(yearData.combinedTypeTotals);
+            }
+        });
+        this.updateSummaries(usersData, this.renderedPeriods);
+    }
+
+    renderAutoRefreshToggle() {
+        const toggle = this.qs('#auto-refresh');
+        if (!toggle) return;
+        toggle.setAttribute('aria-pressed', String(this.autoRefresh.enabled));
+        toggle.title = `Refetch the last ${this.autoRefresh.days} days every ${Math.round(this.autoRefresh.interval / 60000)} min while this tab is visible (needs a token)`;
+    }
+
+    destroy() {
+        // Stops background work and removes listeners; the rendered DOM is left in place
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.abortController.abort();
+        clearTimeout(this.revalidateTimer);
+        clearTimeout(this.pollTimer);
+        this.hideActivityTooltip();
+        this.emit('destroy');
+        this.listeners.clear();
+    }
+
+    loadDashboard() {
+        // A reload requested while one is running starts once it finishes,
+        // so concurrent loads never render over each other
+        if (this.destroyed) return Promise.resolve();
+        if (this.currentLoad) {
+            this.reloadRequested = true;
+            return this.currentLoad;
+        }
+
+        this.currentLoad = (async () => {
+            do {
+                this.reloadRequested = false;
+                await this.runLoad();
+            } while (this.reloadRequested && !this.destroyed);
+        })().finally(() => {
+            this.currentLoad = null;
+        });
+        return this.currentLoad;
+    }
+
+    isCurrentLoad(generation) {
+        // False once the dashboard is destroyed or a newer load/import has started
+        return !this.destroyed && generation === this.loadGeneration;
+    }
+
+    async updateCacheScope() {
+        // Token-authenticated cache entries are only read back under the same token
+        const token = await this.auth.getToken();
+        this.cache.setScope(token ? await ApiCache.tokenScope(token) : null);
+    }
+
+    async runLoad() {
+        const generation = ++this.loadGeneration;
+        this.snapshot = null;
+        this.clearErrors();
+        await this.updateCacheScope();
+        if (!this.isCurrentLoad(generation)) return;
+        this.emit('load:start', { users: this.organization ? [] : [...this.users], organization: this.organization });
+        // Organization mode resolves the account list from org/team membership first.
+        // Members only become currentUsers; this.users keeps the configured list so
+        // clearing the organization goes back to it.
+        if (this.organization) {
+            const members = await this.fetchOrganizationMembers(this.organization);
+            if (!this.isCurrentLoad(generation)) return;
+            if (members.length === 0) {
+                this.showError(`No members found for ${this.formatOrganization(this.organization)}`);
+                return;
+            }
+            return this.loadProfiles(members, generation);
+        }
+        return this.loadProfiles(this.users, generation);
+    }
+
+    qs(selector) {
+        return this.root.querySelector(selector);
+    }
+
+    getRootElement() {
+        // A document root carries its configuration on <body>
+        return this.root.nodeType === Node.DOCUMENT_NODE ? this.root.body : this.root;
+    }
+
+    parseUserList(value) {
+        // Anything that isn't a valid GitHub login (URL parameters and imports are
+        // user-controlled) is dropped before it can reach a URL or the page
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+        const seen = new Set();
+        return list
+            .map(user => String(user).trim())
+            .filter(user => {
+                const key = user.toLowerCase();
+                if (!user || seen.has(key)) return false;
+                if (!GitHubDashboard.isValidLogin(user)) {
+                    console.warn(`Ignoring invalid GitHub login "${user}"`);
+                    return false;
                 }
+                seen.add(key);
+                return true;
+            });
+    }
 
-                const userData = result.user;
-                const transformedUserData = {
-                    login: userData.login,
-                    name: userData.name,
-                    avatar_url: userData.avatarUrl,
-                    bio: userData.bio,
-                    followers: userData.followers.totalCount,
-                    following: userData.following.totalCount,
-                    public_repos: userData.repositories.totalCount,
-                    starred_repos: userData.starredRepositories.totalCount
-                };
+    static isValidLogin(login) {
+        return typeof login === 'string' && GitHubDashboard.LOGIN_PATTERN.test(login);
+    }
+
+    resolveUsers(options = {}) {
+        // Priority: constructor options, then ?users=a,b (or repeated ?user=), then data-users, then defaults
+        const fromOptions = this.parseUserList(options.users);
+        if (fromOptions.length > 0) return fromOptions;
+
+        const params = new URLSearchParams(window.location.search);
+        const fromQuery = this.parseUserList([
+            ...params.getAll('users').flatMap(value => this.parseUserList(value)),
+            ...params.getAll('user')
+        ]);
+        if (fromQuery.length > 0) return fromQuery;
+
+        const rootElement = this.getRootElement();
+        const fromAttribute = this.parseUserList(rootElement && rootElement.dataset ? rootElement.dataset.users : '');
+        if (fromAttribute.length > 0) return fromAttribute;
+
+        return [...this.defaultUsers];
+    }
+
+    resolveOrganization(options = {}) {
+        // Same precedence as users: options.org, ?org=, data-org. "acme" or "acme/team-slug"
+        const params = new URLSearchParams(window.location.search);
+        const rootElement = this.getRootElement();
+        const value = options.org
+            || params.get('org')
+            || (rootElement && rootElement.dataset ? rootElement.dataset.org : '');
+        return this.parseOrganization(value);
+    }
+
+    parseOrganization(value) {
+        if (!value) return null;
+        const [org, team] = String(value).trim().replace(/^@/, '').split('/').map(part => part.trim());
+        if (!org) return null;
+        return { org, team: team || null };
+    }
+
+    formatOrganization(organization) {
+        return organization.team ? `${organization.org}/${organization.team}` : organization.org;
+    }
+
+    async fetchOrganizationMembers({ org, team }) {
+        // Pages through members 100 at a time, stopping at this.maxMembers
+        const members = [];
+        const connectionField = team
+            ? `team(slug: $team) { members(first: $first, after: $after) { ...memberPage } }`
+            : 'membersWithRole(first: $first, after: $after) { ...memberPage }';
+        const query = `
+            query($org: String!, ${team ? '$team: String!, ' : ''}$first: Int!, $after: String) {
+              organization(login: $org) {
+                ${connectionField}
+              }
+            }
+            fragment memberPage on ${team ? 'TeamMemberConnection' : 'OrganizationMemberConnection'} {
+              totalCount
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                login
+              }
+            }
+        `;
+
+        let after = null;
+        let usedGraphQL = true;
+        while (members.length < this.maxMembers) {
+            const variables = { org, first: Math.min(100, this.maxMembers - members.length), after };
+            if (team) variables.team = team;
+
+            const result = await this.fetchGraphQL(query, variables, 'profile');
+            if (!result) {
+                usedGraphQL = members.length > 0;
+                break;
+            }
+
+            const connection = team
+                ? result.organization?.team?.members
+                : result.organization?.membersWithRole;
+            if (!connection) break;
 
-                profiles.push(transformedUserData);
+            connection.nodes.forEach(node => members.push(node.login));
+            if (!connection.pageInfo.hasNextPage) break;
+            after = connection.pageInfo.endCursor;
+        }
+
+        if (!usedGraphQL) {
+            return this.fetchOrganizationMembersFromREST({ org, team });
+        }
+
+        if (members.length >= this.maxMembers) {
+            console.warn(`Showing the first ${this.maxMembers} members of ${this.formatOrganization({ org, team })}`);
+        }
+        return members.slice(0, this.maxMembers);
+    }
+
+    async fetchOrganizationMembersFromREST({ org, team }) {
+        // Anonymous mode only sees public org members; team membership needs a token
+        if (team) {
+            console.warn(`Team ${org}/${team} needs a GitHub token to list its members.`);
+            return [];
+        }
+
+        const members = [];
+        for (let page = 1; members.length < this.maxMembers; page++) {
+            const response = await this.fetchGitHubAPI(
+                `https://api.github.com/orgs/${encodeURIComponent(org)}/public_members?per_page=100&page=${page}`,
+                { cacheType: 'profile' }
+            );
+            if (!response.ok) {
+                console.warn(`Failed to fetch public members of ${org}: ${response.status} ${response.statusText}`);
+                break;
             }
+            const pageMembers = await response.json();
+            if (!Array.isArray(pageMembers) || pageMembers.length === 0) break;
+            pageMembers.forEach(member => members.push(member.login));
+            if (pageMembers.length < 100) break;
+        }
+        return members.slice(0, this.maxMembers);
+    }
+
+    setOrganization(value) {
+        this.organization = this.parseOrganization(value);
+        this.expandedYears = null;
+        this.hiddenUsers.clear();
+        return this.loadDashboard();
+    }
+
+    setupAvailableYears(profiles = []) {
+        // options.years: explicit array of years, or a count of recent years.
+        // options.from / options.to: bounds of the range. Without either, the range
+        // reaches back to the earliest account's creation year once profiles load.
+        const currentYear = this.getToday().getFullYear();
+        const { years, from, to } = this.yearOptions;
+
+        if (Array.isArray(years) && years.length > 0) {
+            this.availableYears = [...new Set(years.map(Number))]
+                .filter(Number.isInteger)
+                .sort((a, b) => b - a);
+            return;
+        }
+
+        const lastYear = Math.min(Number(to) || currentYear, currentYear);
+        let firstYear;
+        if (from) {
+            firstYear = Number(from);
+        } else if (Number(years) > 0) {
+            firstYear = lastYear - Number(years) + 1;
+        } else {
+            firstYear = this.getEarliestYear(profiles, lastYear - 1);
+        }
+
+        this.availableYears = [];
+        for (let year = lastYear; year >= Math.min(firstYear, lastYear); year--) {
+            this.availableYears.push(year);
+        }
+    }
+
+    getEarliestYear(profiles, fallbackYear) {
+        const years = profiles
+            .map(profile => {
+                if (profile.created_at) return new Date(profile.created_at).getFullYear();
+                if (profile.contribution_years && profile.contribution_years.length > 0) {
+                    return Math.min(...profile.contribution_years);
+                }
+                return null;
+            })
+            .filter(Number.isInteger);
+        return years.length > 0 ? Math.min(...years) : fallbackYear;
+    }
+
+    async loadProfiles(usernames, generation = this.loadGeneration) {
+        this.isLoading = true;
+        try {
+            this.showLoading();
+            this.currentUsers = usernames;
+
+            // One batched round trip for every profile and the calendars about to be shown
+            await this.prefetchGraphQL(usernames, this.getYearsToLoad(), true);
+            if (!this.isCurrentLoad(generation)) return;
+
+            const query = this.getProfileQuery();
+
+            // Profiles load in parallel; the scheduler keeps concurrency bounded
+            const profiles = await Promise.all(usernames.map(username => this.loadProfile(username, query)));
+            if (!this.isCurrentLoad(generation)) return;
 
             this.currentUserProfiles = profiles;
+            this.setupAvailableYears(profiles);
             
             // Update profile information (includes validation)
             this.updateProfileInfo(profiles);
             
             // Generate contribution calendars for all years
-            await this.generateAllYearsContribution(profiles);
+            await this.generateAllYearsContribution(profiles, generation);
+            if (!this.isCurrentLoad(generation)) return;
             
             this.hideLoading();
+            this.emit('load:complete', {
+                users: profiles.map(user => user.login),
+                profiles,
+                years: this.getYearsToLoad(),
+                stats: this.stats
+            });
         } catch (error) {
             console.error('Error loading profile:', error);
             this.showError('Failed to load profile data. Check your internet connection and try again.');
+        } finally {
+            this.isLoading = false;
         }
     }
 
-    async fetchGitHubAPI(url) {
-        const cacheKey = url;
-        if (this.apiCache.has(cacheKey)) {
-            const cached = this.apiCache.get(cacheKey);
-            if (Date.now() - cached.timestamp < 300000) { // 5 minutes cache
-                return { 
-                    json: () => Promise.resolve(cached.data), 
-                    status: cached.status || 200, 
-                    ok: (cached.status || 200) < 400,
-                    statusText: cached.statusText || 'OK'
-                };
+    async loadProfile(username, query) {
+        const result = await this.fetchGraphQL(query, { user: username }, 'profile');
+        const graphQLStatus = this.getFetchStatus(this.getGraphQLCacheKey(query, { user: username }));
+
+        if (!result && graphQLStatus.state !== 'not-found') {
+            // No token or GraphQL unavailable: anonymous REST mode
+            const restProfile = await this.fetchProfileFromREST(username);
+            if (!restProfile.status.failure) {
+                return restProfile;
+            }
+            graphQLStatus.state = restProfile.status.state;
+        }
+
+        if (!result || !result.user) {
+            const status = this.describeFailure(result ? { state: 'not-found' } : graphQLStatus);
+            this.showError(`Could not load profile for ${username}: ${status.label.toLowerCase()}.`);
+            return {
+                login: username,
+                name: username,
+                followers: null,
+                following: null,
+                public_repos: null,
+                starred_repos: null,
+                bio: `Could not load profile for ${username}.`,
+                avatar_url: '',
+                status
+            };
+        }
+
+        const userData = result.user;
+        return {
+            login: userData.login,
+            name: userData.name,
+            avatar_url: userData.avatarUrl,
+            bio: userData.bio,
+            followers: userData.followers.totalCount,
+            following: userData.following.totalCount,
+            public_repos: userData.repositories.totalCount,
+            starred_repos: userData.starredRepositories.totalCount,
+            created_at: userData.createdAt,
+            contribution_years: userData.contributionsCollection?.contributionYears || [],
+            status: this.describeStatus(graphQLStatus)
+        };
+    }
+
+    async fetchProfileFromREST(username) {
+        const response = await this.fetchGitHubAPI(`https://api.github.com/users/${encodeURIComponent(username)}`, { cacheType: 'profile' });
+        if (!response.ok) {
+            console.warn(`Failed to fetch REST profile for ${username}: ${response.status} ${response.statusText}`);
+            return { login: username, status: this.describeFailure({ state: this.classifyFailure(response) }) };
+        }
+
+        const userData = await response.json();
+        return {
+            login: userData.login,
+            name: userData.name,
+            avatar_url: userData.avatar_url,
+            bio: userData.bio,
+            followers: userData.followers,
+            following: userData.following,
+            public_repos: userData.public_repos,
+            // Not part of the REST user payload; shown as unknown
+            starred_repos: null,
+            created_at: userData.created_at,
+            status: this.describeStatus({ state: 'rest', age: response.cachedAge })
+        };
+    }
+
+    async fetchGitHubAPI(url, options = {}) {
+        const { cacheType = 'rest', isRetry = false } = options;
+        const cached = isRetry ? null : this.cache.get(url);
+        if (cached) {
+            if (!cached.fresh) {
+                this.revalidate(url, cached, () => this.requestGitHubAPI(url, { cacheType }));
             }
+            return {
+                json: () => Promise.resolve(cached.data),
+                status: cached.meta.status || 200,
+                ok: (cached.meta.status || 200) < 400,
+                statusText: cached.meta.statusText || 'OK',
+                cachedAge: cached.age,
+                // Only the pagination header is kept with cached entries
+                headers: { get: (name) => (name.toLowerCase() === 'link' ? cached.meta.link || null : null) }
+            };
         }
 
+        return this.requestGitHubAPI(url, { cacheType, isRetry });
+    }
+
+    async requestGitHubAPI(url, { cacheType = 'rest', isRetry = false } = {}) {
         try {
             const headers = {
                 'Accept': 'application/vnd.github.v3+json',
                 'User-Agent': 'GitHub-Dashboard-App'
             };
 
-            // Add authorization header if token is provided
-            if (this.githubToken) {
-                headers['Authorization'] = `token ${this.githubToken}`;
+            // Add authorization header if a token is available, otherwise go anonymous
+            const token = await this.auth.getToken();
+            if (token) {
+                headers['Authorization'] = `token ${token}`;
             }
 
-            const response = await fetch(url, { headers });
+            const response = await this.scheduler.schedule(() => fetch(url, { headers }), 'rest', this.abortController.signal);
+
+            if (response.status === 401 && token && !isRetry) {
+                this.handleUnauthorized();
+                return this.fetchGitHubAPI(url, { cacheType, isRetry: true });
+            }
 
             // Cache successful responses
             if (response.ok) {
                 try {
                     const data = await response.clone().json();
-                    this.apiCache.set(cacheKey, { 
-                        data, 
-                        timestamp: Date.now(),
+                    // Responses fetched with a token can include private data
+                    this.cache.set(url, data, cacheType, {
                         status: response.status,
-                        statusText: response.statusText
-                    });
+                        statusText: response.statusText,
+                        link: response.headers?.get('link') || null
+                    }, { authenticated: Boolean(token) });
                 } catch (jsonError) {
                     console.warn('Failed to parse JSON response for caching:', jsonError);
                 }
             }
 
-            console.log(`API call to ${url}: ${response.status} ${response.statusText}`);
-            return response;
-        } catch (error) {
-            console.error('API fetch error:', error);
-            // Return a proper error response instead of a mock with empty data
-            return { 
-                ok: false, 
-                status: 500, 
-                statusText: 'Network Error',
-                json: () => Promise.reject(new Error('Network error occurred'))
-            };
+            console.log(`API call to ${url}: ${response.status} ${response.statusText}`);
+            return response;
+        } catch (error) {
+            // Requests cancelled by destroy() are expected
+            if (!this.destroyed) console.error('API fetch error:', error);
+            // Return a proper error response instead of a mock with empty data
+            return { 
+                ok: false, 
+                status: 500, 
+                statusText: 'Network Error',
+                json: () => Promise.reject(new Error('Network error occurred')),
+                headers: { get: () => null }
+            };
+        }
+    }
+
+    async fetchAllPages(url, { cacheType = 'rest', maxPages = 10 } = {}) {
+        // Follows rel="next" Link headers. `truncated` means maxPages stopped us
+        // early; a failed page keeps what was read so far with ok: false and the
+        // failure state. `age` is set when every page came from the cache.
+        const items = [];
+        let nextUrl = url;
+        let pages = 0;
+        let age = 0;
+
+        while (nextUrl) {
+            if (pages >= maxPages) {
+                return { ok: true, items, truncated: true, status: 200, age };
+            }
+
+            const response = await this.fetchGitHubAPI(nextUrl, { cacheType });
+            if (!response.ok) {
+                return {
+                    ok: false,
+                    items,
+                    truncated: items.length > 0,
+                    status: response.status,
+                    failure: this.classifyFailure(response),
+                    age: null
+                };
+            }
+
+            const page = await response.json();
+            if (!Array.isArray(page)) {
+                return { ok: false, items, truncated: false, status: response.status, failure: 'failed', age: null };
+            }
+            items.push(...page);
+            pages++;
+            age = age === null || response.cachedAge === undefined ? null : Math.max(age, response.cachedAge);
+            nextUrl = this.parseLinkHeader(response.headers?.get('link')).next || null;
+        }
+
+        return { ok: true, items, truncated: false, status: 200, age };
+    }
+
+    classifyFailure(response) {
+        if (response.status === 401) return 'auth-failed';
+        if (response.status === 404) return 'not-found';
+        const headers = response.headers;
+        const exhausted = headers && (headers.get('x-ratelimit-remaining') === '0' || headers.get('retry-after'));
+        if (response.status === 429 || (response.status === 403 && exhausted)) return 'rate-limited';
+        return 'failed';
+    }
+
+    getFetchStatus(key) {
+        // No recorded outcome means the fetch was skipped (no token for GraphQL)
+        return { ...(this.fetchStatus.get(key) || { state: 'skipped' }) };
+    }
+
+    describeStatus({ state, age = null, reason = null }) {
+        // Normalizes a status for display: { state, label, age, failure, reason }
+        const known = GitHubDashboard.STATUS_STATES[state] || GitHubDashboard.STATUS_STATES.failed;
+        const key = GitHubDashboard.STATUS_STATES[state] ? state : 'failed';
+        let label = known.label;
+        if (age !== null && age !== undefined && !known.failure) {
+            label = key === 'cached' ? `Cached ${this.formatAge(age)} ago` : `${label}, cached ${this.formatAge(age)} ago`;
+        }
+        return { state: key, label, age: age ?? null, failure: Boolean(known.failure), reason };
+    }
+
+    describeFailure(status) {
+        const state = GitHubDashboard.STATUS_STATES[status.state]?.failure ? status.state : 'failed';
+        return this.describeStatus({ state, reason: status.reason || null });
+    }
+
+    formatAge(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return '<1m';
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours}h`;
+        return `${Math.round(hours / 24)}d`;
+    }
+
+    parseLinkHeader(header) {
+        const links = {};
+        if (!header) return links;
+        header.split(',').forEach(part => {
+            const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+            if (match) {
+                links[match[2]] = match[1];
+            }
+        });
+        return links;
+    }
+
+    async fetchGraphQL(query, variables, cacheType = 'default') {
+        // GraphQL has no anonymous access. No token is the normal anonymous mode
+        // (the auth panel says so), so this stays quiet
+        const token = await this.auth.getToken();
+        if (!token) return null;
+
+        const cacheKey = this.getGraphQLCacheKey(query, variables);
+        const cached = this.cache.get(cacheKey);
+        if (cached) {
+            // Entries fetched earlier in this session still count as live GraphQL data
+            if (this.fetchStatus.get(cacheKey)?.state !== 'graphql') {
+                this.fetchStatus.set(cacheKey, { state: 'cached', age: cached.age });
+            }
+            if (!cached.fresh) {
+                this.revalidate(cacheKey, cached, () => this.requestGraphQL(query, variables, cacheKey, cacheType));
+            }
+            return cached.data;
         }
+
+        return this.requestGraphQL(query, variables, cacheKey, cacheType);
     }
 
-    async fetchGraphQL(query, variables) {
-        if (!this.githubToken) {
-            console.warn('No GitHub token available for GraphQL fetch.');
+    async requestGraphQL(query, variables, cacheKey, cacheType) {
+        const result = await this.postGraphQL(query, variables);
+
+        if (result.errors) {
+            if (!this.destroyed) console.warn('GraphQL fetch errors:', result.errors);
+            this.fetchStatus.set(cacheKey, { state: result.failure || 'failed' });
             return null;
         }
 
+        // GraphQL always runs with a token
+        this.cache.set(cacheKey, result.data, cacheType, {}, { authenticated: true });
+        this.fetchStatus.set(cacheKey, { state: 'graphql' });
+        return result.data;
+    }
+
+    async postGraphQL(query, variables) {
+        // Raw GraphQL round trip: { data, errors, failure }. When the request
+        // itself fails, data is null and failure names the status state.
+        const failed = (failure, message) => ({ data: null, errors: [{ message }], failure });
+        const token = await this.auth.getToken();
+        if (!token) return failed('auth-failed', 'No GitHub token');
+
         const body = JSON.stringify({
-            query,
+            query: this.withRateLimitField(query),
             variables
         });
 
         try {
-            const cacheKey = `graphql:${JSON.stringify(variables)}`;
-            if (this.apiCache.has(cacheKey)) {
-                const cached = this.apiCache.get(cacheKey);
-                if (Date.now() - cached.timestamp < 300000) { // 5 minutes cache
-                    return cached.data;
-                }
-            }
-
-            const response = await fetch('https://api.github.com/graphql', {
+            const response = await this.scheduler.schedule(() => fetch('https://api.github.com/graphql', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.githubToken}`
+                    'Authorization': `Bearer ${token}`
                 },
                 body
-            });
+            }), 'graphql', this.abortController.signal);
+
+            if (response.status === 401) {
+                this.handleUnauthorized();
+                return failed('auth-failed', 'Bad credentials');
+            }
 
             if (!response.ok) {
                 console.warn(`GraphQL fetch failed: ${response.status} ${response.statusText}`);
-                return null;
+                return failed(this.classifyFailure(response), response.statusText);
             }
 
             const result = await response.json();
-            if (result.errors) {
-                console.warn('GraphQL fetch errors:', result.errors);
-                return null;
-            }
-            
-            const data = result.data;
-            this.apiCache.set(cacheKey, { data, timestamp: Date.now() });
-            return data;
+            const { rateLimit, ...data } = result.data || {};
+            this.scheduler.recordGraphQLCost(rateLimit);
+            const errors = result.errors || null;
+            const errorTypes = (errors || []).map(error => error.type);
+            const failure = errorTypes.includes('RATE_LIMITED') ? 'rate-limited'
+                : errorTypes.includes('NOT_FOUND') ? 'not-found'
+                    : errors ? 'failed' : null;
+            return { data: result.data ? data : null, errors, failure };
         } catch (error) {
-            console.warn('GraphQL fetch error:', error);
-            return null;
+            if (!this.destroyed) console.warn('GraphQL fetch error:', error);
+            return failed('failed', error.message);
+        }
+    }
+
+    getGraphQLCacheKey(query, variables) {
+        return `graphql:${ApiCache.hash(query)}:${JSON.stringify(variables)}`;
+    }
+
+    getProfileQuery() {
+        return `
+                query($user: String!) {
+                  user(login: $user) {${GitHubDashboard.PROFILE_FIELDS}
+                  }
+                }
+            `;
+    }
+
+    getCalendarQuery() {
+        return `
+            query($user: String!, $from: DateTime!, $to: DateTime!) {
+              user(login: $user) {
+                contributionsCollection(from: $from, to: $to) {${GitHubDashboard.CALENDAR_FIELDS}
+                }
+              }
+            }
+        `;
+    }
+
+    getTimeZone(username) {
+        return this.accountTimeZones[username] || this.timeZone;
+    }
+
+    getToday() {
+        return CalendarLayout.today(this.timeZone);
+    }
+
+    getCalendarRange(year, username) {
+        // Year bounds in the account's time zone, so GitHub buckets days the way they are shown
+        const timeZone = this.getTimeZone(username);
+        return {
+            from: CalendarLayout.toDateTime(`${year}-01-01`, '00:00:00', timeZone),
+            to: CalendarLayout.toDateTime(`${year}-12-31`, '23:59:59', timeZone)
+        };
+    }
+
+    getCalendarCacheType(year) {
+        return year < this.currentYear ? 'calendarPast' : 'calendar';
+    }
+
+    getYearsToLoad() {
+        if (this.calendarMode === 'rolling') return this.getRollingYears();
+        if (this.expandedYears === null) return this.availableYears.slice(0, this.yearOptions.expand);
+        return this.availableYears.filter(year => this.expandedYears.has(year));
+    }
+
+    async prefetchGraphQL(usernames, years, includeProfiles = false) {
+        // Batches every profile / calendar that isn't cached yet into as few
+        // aliased queries as the size limits allow, then stores each result under
+        // the key its single-item query would use, so the normal fetch paths hit the cache.
+        // Stale entries are left to the usual stale-while-revalidate path.
+        if (!(await this.auth.getToken())) return;
+
+        const builder = new GraphQLBatchBuilder(this.batchOptions);
+        const profileQuery = this.getProfileQuery();
+        const calendarQuery = this.getCalendarQuery();
+
+        usernames.forEach(username => {
+            if (includeProfiles) {
+                const key = this.getGraphQLCacheKey(profileQuery, { user: username });
+                if (!this.cache.get(key)) {
+                    builder.add({
+                        key,
+                        variables: { user: ['String!', username] },
+                        selection: (vars) => `user(login: ${vars.user}) {${GitHubDashboard.PROFILE_FIELDS}\n}`,
+                        nodes: GitHubDashboard.PROFILE_NODES,
+                        payload: { cacheType: 'profile' }
+                    });
+                }
+            }
+
+            years.forEach(year => {
+                const { from, to } = this.getCalendarRange(year, username);
+                const key = this.getGraphQLCacheKey(calendarQuery, { user: username, from, to });
+                if (!this.cache.get(key)) {
+                    builder.add({
+                        key,
+                        variables: { user: ['String!', username], from: ['DateTime!', from], to: ['DateTime!', to] },
+                        selection: (vars) => `user(login: ${vars.user}) {\ncontributionsCollection(from: ${vars.from}, to: ${vars.to}) {${GitHubDashboard.CALENDAR_FIELDS}\n}\n}`,
+                        nodes: GitHubDashboard.CALENDAR_NODES,
+                        payload: { cacheType: this.getCalendarCacheType(year) }
+                    });
+                }
+            });
+        });
+
+        const chunks = builder.build();
+        await Promise.all(chunks.map(async (chunk) => {
+            const result = await this.postGraphQL(chunk.query, chunk.variables);
+            if (!result.data) return;
+
+            // A missing user only nulls its own alias; the rest of the batch is still good
+            chunk.items.forEach(item => {
+                const user = result.data[item.alias];
+                if (user) {
+                    this.cache.set(item.key, { user }, item.payload.cacheType, {}, { authenticated: true });
+                    this.fetchStatus.set(item.key, { state: 'graphql' });
+                }
+            });
+        }));
+    }
+
+    withRateLimitField(query) {
+        // Ask for the query's cost alongside the data; the field goes into the
+        // first selection set, after the operation's variable definitions
+        const selectionStart = query.indexOf('{');
+        if (selectionStart === -1) return query;
+        return `${query.slice(0, selectionStart + 1)}
+              rateLimit {
+                cost
+                remaining
+                limit
+                resetAt
+              }${query.slice(selectionStart + 1)}`;
+    }
+
+    renderRateLimit() {
+        const el = this.qs('#rate-limit');
+        if (!el) return;
+
+        const { rest, graphql } = this.scheduler.limits;
+        const parts = [];
+        const format = (label, limit) => `${label} ${limit.remaining.toLocaleString()}${limit.limit ? `/${limit.limit.toLocaleString()}` : ''}`;
+        if (rest) parts.push(format('REST', rest));
+        if (graphql) {
+            const cost = this.scheduler.lastGraphQLCost;
+            parts.push(`${format('GraphQL', graphql)}${cost !== null ? ` (last query cost ${cost})` : ''}`);
         }
+        const resets = [rest, graphql].filter(limit => limit && limit.reset).map(limit => limit.reset);
+        if (resets.length > 0) {
+            parts.push(`resets ${new Date(Math.min(...resets)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        }
+
+        el.textContent = parts.length > 0 ? `Quota: ${parts.join(' · ')}` : '';
+        el.classList.toggle('low', [rest, graphql].some(limit => limit && limit.remaining <= this.scheduler.lowWater));
+    }
+
+    revalidate(cacheKey, staleEntry, request) {
+        // Stale-while-revalidate: the caller already rendered the stale entry,
+        // so refetch once in the background and re-render only if it changed.
+        if (this.revalidating.has(cacheKey)) return;
+        this.revalidating.add(cacheKey);
+
+        request()
+            .then(() => {
+                const fresh = this.cache.get(cacheKey);
+                if (fresh && fresh.timestamp > staleEntry.timestamp
+                    && JSON.stringify(fresh.data) !== JSON.stringify(staleEntry.data)) {
+                    this.scheduleRevalidatedRender();
+                }
+            })
+            .catch(error => console.warn(`Revalidation failed for ${cacheKey}:`, error))
+            .finally(() => this.revalidating.delete(cacheKey));
+    }
+
+    scheduleRevalidatedRender() {
+        if (this.destroyed) return;
+        clearTimeout(this.revalidateTimer);
+        this.revalidateTimer = setTimeout(() => {
+            if (this.isLoading) {
+                this.scheduleRevalidatedRender();
+                return;
+            }
+            this.loadDashboard();
+        }, 250);
+    }
+
+    clearCache() {
+        this.cache.clear();
+        this.fetchStatus.clear();
+        this.dayDetails.clear();
+        this.loadDashboard();
     }
 
     updateProfileInfo(usersData) {
@@ -223,20 +2335,26 @@ class GitHubDashboard {
         const avatarStack = this.qs('#profile-avatar-stack');
         const profileNameEl = this.qs('#profile-name');
         const profileUsernameEl = this.qs('#profile-username');
-        const followInfoEl = this.qs('#follow-info');
-        const followingInfoEl = this.qs('#following-info');
-        const repoInfoEl = this.qs('#repo-info');
+        const statLinesEl = this.qs('#stat-lines');
         const bioEl = this.qs('#profile-bio');
 
         if (avatarStack) {
             avatarStack.innerHTML = '';
-            usersData.forEach(user => {
+            // Large orgs collapse into a "+N" bubble after the first few avatars
+            const maxAvatars = 8;
+            usersData.slice(0, maxAvatars).forEach(user => {
                 const avatar = document.createElement('img');
                 avatar.className = 'avatar';
                 avatar.src = user.avatar_url || '';
                 avatar.alt = `${user.login} avatar`;
                 avatarStack.appendChild(avatar);
             });
+            if (usersData.length > maxAvatars) {
+                const more = document.createElement('span');
+                more.className = 'avatar avatar-more';
+                more.textContent = `+${usersData.length - maxAvatars}`;
+                avatarStack.appendChild(more);
+            }
         }
 
         const githubIconSvg = `
@@ -252,7 +2370,7 @@ class GitHubDashboard {
         `;
 
         const usernamesLine = usersData
-            .map(user => `<span class="user-handle">${githubIconSvg}<span class="handle-text">${user.login}</span></span>`)
+            .map(() => `<span class="user-handle">${githubIconSvg}<span class="handle-text"></span></span>`)
             .join('<span class="separator">·</span>');
         if (profileNameEl) {
             profileNameEl.textContent = usersData.length === 1
@@ -262,10 +2380,13 @@ class GitHubDashboard {
 
         if (profileUsernameEl) {
             profileUsernameEl.innerHTML = usernamesLine;
+            profileUsernameEl.querySelectorAll('.handle-text').forEach((handle, index) => {
+                handle.textContent = usersData[index].login;
+            });
         }
 
         const buildStatLine = (user) => {
-            const formatStat = (value) => String(value || 0).padStart(2, '0');
+            const formatStat = (value) => (value === null || value === undefined) ? '--' : String(value).padStart(2, '0');
             const followersIcon = `
                 <svg class="followers-icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">
                     <circle cx="8" cy="5" r="2.1"></circle>
@@ -297,29 +2418,25 @@ class GitHubDashboard {
                 </svg>
             `;
             const starred = `<span class="starred-meta">${starredIcon}<strong>${formatStat(user.starred_repos)}</strong> starred</span>`;
-            const userTag = `<span class="stat-user">${user.login}</span>`;
+            const userTag = '<span class="stat-user"></span>';
             const marker = `<span class="stat-marker">&#x25C9;</span>`;
             return `<span class="stat-text">${userTag}${marker}${followers}${following}${repos}${starred}</span>`;
         };
 
-        const summaries = usersData.map(buildStatLine);
-
-        if (followInfoEl) {
-            followInfoEl.classList.add('stat-line');
-            followInfoEl.innerHTML = summaries[0] || '';
-            followInfoEl.style.display = summaries[0] ? 'flex' : 'none';
-        }
-
-        if (followingInfoEl) {
-            followingInfoEl.classList.add('stat-line');
-            followingInfoEl.innerHTML = summaries[1] || '';
-            followingInfoEl.style.display = summaries[1] ? 'flex' : 'none';
-        }
-
-        if (repoInfoEl) {
-            repoInfoEl.classList.add('stat-line');
-            repoInfoEl.innerHTML = '';
-            repoInfoEl.style.display = 'none';
+        // One stat line per account, however many are configured
+        if (statLinesEl) {
+            statLinesEl.innerHTML = '';
+            usersData.forEach(user => {
+                const statLine = document.createElement('div');
+                statLine.className = 'follow-info stat-line';
+                statLine.dataset.user = user.login;
+                statLine.innerHTML = buildStatLine(user);
+                statLine.querySelector('.stat-user').textContent = user.login;
+                if (user.status) {
+                    statLine.querySelector('.stat-user').after(this.buildStatusBadge(user.status, [user.login]));
+                }
+                statLinesEl.appendChild(statLine);
+            });
         }
 
         if (bioEl) {
@@ -329,7 +2446,7 @@ class GitHubDashboard {
         }
     }
 
-    async generateAllYearsContribution(usersData) {
+    async generateAllYearsContribution(usersData, generation = this.loadGeneration) {
         try {
             const container = this.qs('#all-years-container');
             if (!container) return;
@@ -338,66 +2455,544 @@ class GitHubDashboard {
             // Show loading message for contributions
             this.showContributionsLoading(container);
 
-            let totalContributions = 0;
-            const perUserTotals = {};
-            const yearsWithContributions = [];
-
-            // Generate contribution calendar for each year
-            for (const year of this.availableYears) {
-                const combinedContributionData = {};
-                const perUserMaps = {};
-
-                for (const user of usersData) {
-                    const contributionData = await this.fetchRealContributionData(user.login, year);
-                    perUserMaps[user.login] = contributionData;
-                    const yearContributionCount = this.countContributions(contributionData);
-                    perUserTotals[user.login] = (perUserTotals[user.login] || 0) + yearContributionCount;
-                    this.mergeContributionData(combinedContributionData, contributionData);
+            // Day details are per-load data too, so a reload (refresh, token change) refetches them
+            this.yearData = new Map();
+            this.yearLoads = new Map();
+            this.dayDetails = new Map();
+
+            // Only expanded years are fetched; the rest load on demand from the year picker
+            const initialLoad = this.expandedYears === null;
+            if (initialLoad) {
+                this.expandedYears = new Set(this.availableYears.slice(0, this.yearOptions.expand));
+            } else {
+                this.expandedYears = new Set(this.availableYears.filter(year => this.expandedYears.has(year)));
+            }
+
+            const yearsToLoad = this.getYearsToLoad();
+            await this.prefetchGraphQL(usersData.map(user => user.login), yearsToLoad);
+            if (!this.isCurrentLoad(generation)) return;
+            await Promise.all(yearsToLoad.map(year => this.loadYearData(year, usersData)));
+            if (!this.isCurrentLoad(generation)) return;
+
+            // On first load, collapse default years without contributions;
+            // failed fetches stay open so their status is visible
+            if (initialLoad && this.calendarMode === 'years') {
+                this.yearData.forEach((yearData, year) => {
+                    const failed = Object.values(yearData.perUserStatus).some(status => status && status.failure);
+                    if (yearData.combinedYearContributions === 0 && !failed) {
+                        this.expandedYears.delete(year);
+                    }
+                });
+            }
+
+            // Remove loading message
+            this.hideContributionsLoading(container);
+
+            this.renderYearPicker();
+            this.renderUserLegend();
+            this.renderExpandedYears(usersData);
+        } catch (error) {
+            console.error('Error loading contributions:', error);
+            this.renderEmptyYearSections();
+        }
+    }
+
+    loadYearData(year, usersData) {
+        if (this.yearData.has(year)) {
+            return Promise.resolve(this.yearData.get(year));
+        }
+        if (this.snapshot) {
+            // Imported data has nothing for this year and must not hit the network
+            const status = this.describeStatus({ state: 'imported', reason: 'not in the imported file' });
+            const empty = usersData.map(() => ({ days: {}, dayTypes: {}, typeTotals: {}, status }));
+            this.yearData.set(year, this.buildYearData(year, usersData, empty));
+            return Promise.resolve(this.yearData.get(year));
+        }
+        if (!this.yearLoads.has(year)) {
+            const load = (async () => {
+                await this.prefetchGraphQL(usersData.map(user => user.login), [year]);
+                if (this.destroyed) return null;
+                const results = await Promise.all(usersData.map(user => this.fetchRealContributionData(user.login, year)));
+                if (this.destroyed) return null;
+                const yearData = this.buildYearData(year, usersData, results);
+                // A reload may have reset the maps while this year was in flight
+                if (this.yearLoads.get(year) === load) {
+                    this.yearData.set(year, yearData);
+                    this.yearLoads.delete(year);
                 }
+                return yearData;
+            })();
+            this.yearLoads.set(year, load);
+        }
+        return this.yearLoads.get(year);
+    }
 
-                const combinedYearContributions = this.countContributions(combinedContributionData);
+    buildYearData(year, usersData, results) {
+        // results: one { days, dayTypes, typeTotals, status } per account, in usersData order
+        const combinedContributionData = {};
+        const perUserMaps = {};
+        const perUserTypeMaps = {};
+        const perUserTypeTotals = {};
+        const perUserStatus = {};
+        const combinedTypeTotals = {};
 
-                // Add to total contributions regardless of whether year will be displayed
-                totalContributions += combinedYearContributions;
+        usersData.forEach((user, index) => {
+            const { days, dayTypes, typeTotals, status } = results[index];
+            perUserMaps[user.login] = days;
+            perUserStatus[user.login] = status;
+            perUserTypeMaps[user.login] = dayTypes;
+            perUserTypeTotals[user.login] = typeTotals;
+            this.mergeContributionData(combinedContributionData, days);
+            this.mergeContributionData(combinedTypeTotals, typeTotals);
+        });
 
-                // Only include year if there are contributions
-                if (combinedYearContributions > 0) {
-                    yearsWithContributions.push({
-                        year,
-                        combinedContributionData,
-                        combinedYearContributions,
-                        perUserMaps
-                    });
+        return {
+            year,
+            combinedContributionData,
+            combinedYearContributions: this.countContributions(combinedContributionData),
+            perUserMaps,
+            perUserTypeMaps,
+            perUserTypeTotals,
+            perUserStatus,
+            combinedTypeTotals
+        };
+    }
+
+    renderExpandedYears(usersData = this.currentUserProfiles) {
+        const container = this.qs('#all-years-container');
+        if (!container) return;
+        container.innerHTML = '';
+        // A rolling window still loading is superseded by any later render
+        const renderToken = ++this.renderGeneration;
+
+        if (this.calendarMode === 'rolling') {
+            this.renderRollingWindow(container, usersData, renderToken).catch(error => {
+                console.error('Error rendering rolling window:', error);
+                if (renderToken === this.renderGeneration) this.renderEmptyYearSections();
+            });
+            return;
+        }
+
+        const renderedPeriods = [];
+
+        for (const year of this.availableYears) {
+            if (!this.expandedYears.has(year)) continue;
+
+            const yearData = this.yearData.get(year);
+            if (!yearData) {
+                this.renderYearPlaceholder(year, container);
+                continue;
+            }
+
+            this.renderYearSection(
+                yearData.year,
+                yearData.combinedContributionData,
+                yearData.combinedYearContributions,
+                container,
+                usersData,
+                yearData.perUserMaps,
+                yearData
+            );
+            renderedPeriods.push({ period: this.toPeriod(year), data: yearData });
+        }
+
+        this.updateSummaries(usersData, renderedPeriods);
+        this.reportLoadProblems(renderedPeriods);
+    }
+
+    updateSummaries(usersData, renderedPeriods) {
+        // Account pills and the stats panel, over every rendered period
+        let totalContributions = 0;
+        const perUserTotals = {};
+        const perUserTypeTotals = {};
+        renderedPeriods.forEach(({ data }) => {
+            totalContributions += data.combinedYearContributions;
+            usersData.forEach(user => {
+                perUserTotals[user.login] = (perUserTotals[user.login] || 0)
+                    + this.countContributions(data.perUserMaps[user.login] || {});
+                perUserTypeTotals[user.login] = perUserTypeTotals[user.login] || {};
+                this.mergeContributionData(perUserTypeTotals[user.login], data.perUserTypeTotals[user.login]);
+            });
+        });
+
+        this.updateCommitBreakdown(usersData, perUserTotals, totalContributions, perUserTypeTotals);
+        this.updateContributionStats(usersData, renderedPeriods);
+        this.renderRangeSelection();
+    }
+
+    setRange(from, to) {
+        // Date keys or Dates; a reversed range is swapped. Totals come from the
+        // loaded year data, so nothing is refetched.
+        const keys = [from, to].map(value => value instanceof Date ? this.formatDateKey(value) : String(value || ''));
+        if (!keys.every(key => /^\d{4}-\d{2}-\d{2}$/.test(key))) {
+            throw new Error('setRange() needs two dates (YYYY-MM-DD)');
+        }
+        // Clamped to the picker's years: the totals walk every day in the range
+        const bounds = this.getRangeBounds();
+        const clamped = keys.sort().map(key => (bounds ? [bounds.min, key, bounds.max].sort()[1] : key));
+        this.selectedRange = { from: clamped[0], to: clamped[1] };
+        const totals = this.getRangeTotals();
+        this.renderRangeSelection(this.selectedRange, totals);
+        this.emit('range:change', totals);
+        return totals;
+    }
+
+    getRangeBounds() {
+        // First and last day of the available years, or null before they are known
+        if (this.availableYears.length === 0) return null;
+        return {
+            min: `${Math.min(...this.availableYears)}-01-01`,
+            max: `${Math.max(...this.availableYears)}-12-31`
+        };
+    }
+
+    clearRange() {
+        if (!this.selectedRange) return;
+        this.selectedRange = null;
+        this.renderRangeSelection();
+        this.emit('range:change', null);
+    }
+
+    getRangeTotals(range = this.selectedRange, usersData = this.currentUserProfiles) {
+        // { from, to, days, total, perUser, types, perUserTypes, missingYears } over the loaded years
+        if (!range) return null;
+        const totals = { from: range.from, to: range.to, days: 0, total: 0, perUser: {}, types: {}, perUserTypes: {}, missingYears: [] };
+        usersData.forEach(user => {
+            totals.perUser[user.login] = 0;
+            totals.perUserTypes[user.login] = {};
+        });
+
+        const missing = new Set();
+        const end = CalendarLayout.parseDateKey(range.to);
+        for (let day = CalendarLayout.parseDateKey(range.from); day <= end; day.setDate(day.getDate() + 1)) {
+            const dateStr = this.formatDateKey(day);
+            const yearData = this.yearData.get(day.getFullYear());
+            totals.days++;
+            if (!yearData) {
+                missing.add(day.getFullYear());
+                continue;
+            }
+            usersData.forEach(user => {
+                const count = (yearData.perUserMaps[user.login] || {})[dateStr] || 0;
+                totals.perUser[user.login] += count;
+                totals.total += count;
+                const dayTypes = (yearData.perUserTypeMaps[user.login] || {})[dateStr];
+                if (dayTypes) {
+                    this.mergeContributionData(totals.perUserTypes[user.login], dayTypes);
+                    this.mergeContributionData(totals.types, dayTypes);
+                }
+            });
+        }
+        totals.missingYears = [...missing].sort((a, b) => a - b);
+        return totals;
+    }
+
+    renderRangeSelection(range = this.selectedRange, totals = this.getRangeTotals()) {
+        // Highlights the range in every rendered grid and fills the inputs and the summary line
+        const inRange = (dateStr) => Boolean(range) && dateStr >= range.from && dateStr <= range.to;
+        const container = this.qs('#all-years-container');
+        if (container) {
+            container.querySelectorAll('.contribution-day[data-date]:not(.outside)').forEach(cell => {
+                cell.classList.toggle('in-range', inRange(cell.dataset.date));
+            });
+        }
+
+        const fromInput = this.qs('#range-from');
+        const toInput = this.qs('#range-to');
+        const bounds = this.getRangeBounds();
+        [fromInput, toInput].filter(Boolean).forEach(input => {
+            input.min = bounds ? bounds.min : '';
+            input.max = bounds ? bounds.max : '';
+        });
+        if (fromInput) fromInput.value = this.selectedRange ? this.selectedRange.from : '';
+        if (toInput) toInput.value = this.selectedRange ? this.selectedRange.to : '';
+        const clearButton = this.qs('#range-clear');
+        if (clearButton) clearButton.hidden = !this.selectedRange;
+
+        const summary = this.qs('#range-summary');
+        if (!summary) return;
+        summary.hidden = !totals;
+        summary.innerHTML = '';
+        if (!totals) return;
+
+        const formatDate = (dateStr) => CalendarLayout.parseDateKey(dateStr).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        const title = document.createElement('strong');
+        title.textContent = totals.from === totals.to ? formatDate(totals.from) : `${formatDate(totals.from)} – ${formatDate(totals.to)}`;
+        summary.appendChild(title);
+
+        const parts = [`${totals.total} ${totals.total === 1 ? 'contribution' : 'contributions'} in ${totals.days} ${totals.days === 1 ? 'day' : 'days'}`];
+        const typeSummary = this.formatTypeBreakdown(totals.types, totals.total);
+        if (typeSummary) parts.push(typeSummary);
+        if (this.currentUserProfiles.length > 1) {
+            this.currentUserProfiles.forEach(user => parts.push(`${user.login} ${totals.perUser[user.login]}`));
+        }
+        if (totals.missingYears.length > 0) {
+            parts.push(`${totals.missingYears.join(', ')} not loaded`);
+        }
+        summary.appendChild(document.createTextNode(`: ${parts.join(' · ')}`));
+    }
+
+    setupRangeSelection() {
+        // Drag across days to pick a range; a plain click still opens the day.
+        // The date inputs set the same range. Dragging is for mouse and pen only:
+        // on touch screens the same gesture scrolls the page.
+        const { signal } = this.abortController;
+        const container = this.qs('#all-years-container');
+        const dayAt = (event) => {
+            const cell = event.target.closest && event.target.closest('.contribution-day[data-date]:not(.outside)');
+            return cell && !cell.closest('.compare-diff, .level-legend') ? cell : null;
+        };
+
+        if (container) {
+            container.addEventListener('pointerdown', (event) => {
+                const cell = dayAt(event);
+                this.suppressDayClick = false;
+                if (!cell || event.button !== 0 || event.pointerType === 'touch') return;
+                this.rangeDrag = { anchor: cell.dataset.date, current: cell.dataset.date, moved: false };
+            }, { signal });
+            container.addEventListener('pointerover', (event) => {
+                const cell = dayAt(event);
+                if (!this.rangeDrag || !cell || cell.dataset.date === this.rangeDrag.current) return;
+                this.rangeDrag.current = cell.dataset.date;
+                this.rangeDrag.moved = true;
+                this.hideActivityTooltip();
+                const keys = [this.rangeDrag.anchor, this.rangeDrag.current].sort();
+                this.renderRangeSelection({ from: keys[0], to: keys[1] });
+            }, { signal });
+            // The click that ends a drag must not open the day it ended on
+            container.addEventListener('click', (event) => {
+                if (this.suppressDayClick) {
+                    event.stopPropagation();
+                    this.suppressDayClick = false;
                 }
+            }, { capture: true, signal });
+        }
+        document.addEventListener('pointerup', () => {
+            const drag = this.rangeDrag;
+            this.rangeDrag = null;
+            if (drag && drag.moved) {
+                // Only the click of this same gesture is swallowed; one released
+                // outside the grid (or a later keyboard click) goes through
+                this.suppressDayClick = true;
+                setTimeout(() => {
+                    this.suppressDayClick = false;
+                }, 0);
+                this.setRange(drag.anchor, drag.current);
             }
+        }, { signal });
+        document.addEventListener('pointercancel', () => {
+            if (!this.rangeDrag) return;
+            this.rangeDrag = null;
+            this.renderRangeSelection();
+        }, { signal });
 
-            // Render only years with contributions
-            for (const yearData of yearsWithContributions) {
-                this.renderYearSection(
-                    yearData.year,
-                    yearData.combinedContributionData,
-                    yearData.combinedYearContributions,
-                    container,
-                    usersData,
-                    yearData.perUserMaps
-                );
+        const fromInput = this.qs('#range-from');
+        const toInput = this.qs('#range-to');
+        const applyInputs = () => {
+            try {
+                if (fromInput.value && toInput.value) {
+                    this.setRange(fromInput.value, toInput.value);
+                } else if (!fromInput.value && !toInput.value) {
+                    this.clearRange();
+                }
+            } catch (error) {
+                // e.g. a five-digit year typed into a date input; the inputs go back to the current range
+                console.warn('Ignoring date range:', error.message);
+                this.renderRangeSelection();
             }
+        };
+        if (fromInput && toInput) {
+            fromInput.addEventListener('change', applyInputs, { signal });
+            toInput.addEventListener('change', applyInputs, { signal });
+        }
 
-            // Remove loading message
-            this.hideContributionsLoading(container);
+        const clearButton = this.qs('#range-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clearRange(), { signal });
+        }
+    }
+
+    getRollingPeriod() {
+        // Same window as GitHub's profile: 53 week columns, the last one ending today
+        const end = this.getToday();
+        const start = new Date(end);
+        start.setDate(start.getDate() - 52 * 7 - start.getDay());
+        return { key: 'rolling', label: 'Last 365 days', start, end };
+    }
+
+    getRollingYears() {
+        // contributionsCollection spans at most one year per call, so the window
+        // is assembled from the calendar years it crosses
+        const { start, end } = this.getRollingPeriod();
+        const years = [];
+        for (let year = end.getFullYear(); year >= start.getFullYear(); year--) {
+            years.push(year);
+        }
+        return years;
+    }
+
+    async loadRollingData(usersData) {
+        const period = this.getRollingPeriod();
+        const startKey = this.formatDateKey(period.start);
+        const endKey = this.formatDateKey(period.end);
+        const inWindow = (data) => Object.fromEntries(
+            Object.entries(data || {}).filter(([date]) => date >= startKey && date <= endKey)
+        );
+
+        const combinedContributionData = {};
+        const perUserMaps = {};
+        const perUserTypeMaps = {};
+        const perUserTypeTotals = {};
+        const combinedTypeTotals = {};
+        usersData.forEach(user => {
+            perUserMaps[user.login] = {};
+            perUserTypeMaps[user.login] = {};
+        });
+
+        const perUserStatus = {};
+        const rollingYears = await Promise.all(this.getRollingYears().map(year => this.loadYearData(year, usersData)));
+        if (this.destroyed) return null;
+        for (const yearData of rollingYears) {
+            usersData.forEach(user => {
+                perUserStatus[user.login] = this.worseStatus(perUserStatus[user.login], yearData.perUserStatus[user.login]);
+                Object.assign(perUserMaps[user.login], inWindow(yearData.perUserMaps[user.login]));
+                Object.assign(perUserTypeMaps[user.login], inWindow(yearData.perUserTypeMaps[user.login]));
+            });
+            this.mergeContributionData(combinedContributionData, inWindow(yearData.combinedContributionData));
+        }
+
+        // Collection totals are per calendar year, so window totals come from the per-day detail
+        usersData.forEach(user => {
+            perUserTypeTotals[user.login] = {};
+            Object.values(perUserTypeMaps[user.login]).forEach(dayTypes => {
+                this.mergeContributionData(perUserTypeTotals[user.login], dayTypes);
+            });
+            this.mergeContributionData(combinedTypeTotals, perUserTypeTotals[user.login]);
+        });
+
+        return {
+            period,
+            combinedContributionData,
+            combinedYearContributions: this.countContributions(combinedContributionData),
+            perUserMaps,
+            perUserTypeMaps,
+            perUserTypeTotals,
+            perUserStatus,
+            combinedTypeTotals
+        };
+    }
+
+    async renderRollingWindow(container, usersData, renderToken = this.renderGeneration) {
+        const rollingData = await this.loadRollingData(usersData);
+        if (this.destroyed || renderToken !== this.renderGeneration || this.calendarMode !== 'rolling') return;
+        container.innerHTML = '';
+
+        this.renderYearSection(
+            rollingData.period,
+            rollingData.combinedContributionData,
+            rollingData.combinedYearContributions,
+            container,
+            usersData,
+            rollingData.perUserMaps,
+            rollingData
+        );
+
+        const renderedPeriods = [{ period: rollingData.period, data: rollingData }];
+        this.updateSummaries(usersData, renderedPeriods);
+        this.reportLoadProblems(renderedPeriods);
+    }
+
+    setCalendarMode(mode) {
+        this.calendarMode = mode === 'rolling' ? 'rolling' : 'years';
+        this.renderViewModeToggle();
+        this.renderYearPicker();
+        this.renderExpandedYears();
+    }
+
+    renderViewModeToggle() {
+        const toggle = this.qs('#view-mode');
+        if (!toggle) return;
+        toggle.setAttribute('aria-pressed', String(this.calendarMode === 'rolling'));
+    }
+
+    setLayout(layout) {
+        this.layout = layout === 'compare' ? 'compare' : 'merged';
+        this.renderLayoutToggle();
+        this.renderUserLegend();
+        this.renderExpandedYears();
+    }
+
+    renderLayoutToggle() {
+        const toggle = this.qs('#compare-mode');
+        if (!toggle) return;
+        toggle.setAttribute('aria-pressed', String(this.layout === 'compare'));
+    }
 
-            this.updateCommitBreakdown(usersData, perUserTotals, totalContributions);
+    getCompareUsers(usersData) {
+        // Compare layout needs at least two visible accounts; otherwise the merged calendar is the same thing
+        if (this.layout !== 'compare') return null;
+        const visible = usersData.filter(user => !this.hiddenUsers.has(user.login));
+        return visible.length > 1 ? visible : null;
+    }
+
+    renderYearPlaceholder(year, container) {
+        const yearSection = document.createElement('div');
+        yearSection.className = 'year-section loading';
+
+        const yearHeader = document.createElement('div');
+        yearHeader.className = 'year-header';
+        yearHeader.textContent = `${year}: Loading contributions...`;
+
+        yearSection.appendChild(yearHeader);
+        container.appendChild(yearSection);
+    }
+
+    renderYearPicker() {
+        const picker = this.qs('#year-picker');
+        if (!picker) return;
+        picker.innerHTML = '';
+        picker.hidden = this.calendarMode === 'rolling';
+
+        // Years no account contributed in (per GraphQL contributionYears) are dimmed
+        const knownYears = new Set(this.currentUserProfiles.flatMap(profile => profile.contribution_years || []));
 
-            // Show message if we couldn't get real data
-            if (totalContributions === 0) {
-                const usernamesLine = usersData.map(user => user.login).join(' · ');
-                this.showContributionDataInfo(usernamesLine);
+        this.availableYears.forEach(year => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'year-chip';
+            chip.textContent = year;
+            chip.setAttribute('aria-pressed', String(this.expandedYears.has(year)));
+            if (knownYears.size > 0 && !knownYears.has(year)) {
+                chip.classList.add('empty');
             }
+            chip.addEventListener('click', () => this.toggleYear(year));
+            picker.appendChild(chip);
+        });
+    }
+
+    async toggleYear(year) {
+        if (!this.expandedYears) return;
+
+        if (this.expandedYears.has(year)) {
+            this.expandedYears.delete(year);
+            this.renderYearPicker();
+            this.renderExpandedYears();
+            return;
+        }
 
+        this.expandedYears.add(year);
+        this.renderYearPicker();
+        this.renderExpandedYears();
+
+        try {
+            await this.loadYearData(year, this.currentUserProfiles);
         } catch (error) {
-            console.error('Error loading contributions:', error);
-            this.renderEmptyYearSections();
+            console.error(`Error loading contributions for ${year}:`, error);
+            this.expandedYears.delete(year);
+            this.renderYearPicker();
         }
+        if (this.destroyed) return;
+        this.renderExpandedYears();
     }
 
     async fetchRealContributionData(username, year) {
@@ -410,83 +3005,143 @@ class GitHubDashboard {
                 return graphQLData;
             }
 
-            // First try to get repositories
-            const reposResponse = await this.fetchGitHubAPI(`https://api.github.com/users/${username}/repos?sort=updated&per_page=100`);
-            
-            if (reposResponse.status === 403) {
-                console.warn(`GitHub API rate limit exceeded while fetching repos for ${username}`);
-                return this.generateFallbackData(username, year);
-            }
+            // An unknown login won't turn up over REST either
+            const { from, to } = this.getCalendarRange(year, username);
+            const graphQLStatus = this.getFetchStatus(this.getGraphQLCacheKey(this.getCalendarQuery(), { user: username, from, to }));
+            if (graphQLStatus.state === 'not-found') {
+                return this.generateFallbackData(username, year, 'not-found');
+            }
+
+            return await this.fetchContributionDataFromREST(username, year);
+        } catch (error) {
+            console.error('Error fetching real contribution data:', error);
+            return this.generateFallbackData(username, year, 'failed', error.message);
+        }
+    }
+
+    async fetchContributionDataFromREST(username, year) {
+        // Reconstructs a calendar from commits (owned repos, forks, member and org
+        // repos) plus PR/issue/review events. GitHub counts more than this, so the
+        // result is always an estimate, and "partial" when anything was cut short.
+        const { from: yearStart, to: yearEnd } = this.getCalendarRange(year, username);
+        const timeZone = this.getTimeZone(username);
+        const inYear = (timestamp) => Boolean(timestamp) && CalendarLayout.dateKeyAt(timestamp, timeZone).startsWith(`${year}-`);
+        const pastYear = year < this.currentYear;
+        let partial = false;
+
+        const [reposResult, eventsResult, orgsResult] = await Promise.all([
+            this.fetchAllPages(`https://api.github.com/users/${encodeURIComponent(username)}/repos?type=all&sort=pushed&per_page=100`, { maxPages: 5 }),
+            // The public events feed only reaches back 90 days / 300 events
+            this.fetchAllPages(`https://api.github.com/users/${encodeURIComponent(username)}/events/public?per_page=100`, { maxPages: 3 }),
+            this.fetchAllPages(`https://api.github.com/users/${encodeURIComponent(username)}/orgs?per_page=100`, { maxPages: 1 })
+        ]);
+
+        if (!reposResult.ok && reposResult.items.length === 0) {
+            console.warn(`Failed to fetch repos for ${username}: ${reposResult.status} (${reposResult.failure})`);
+            return this.generateFallbackData(username, year, reposResult.failure, `HTTP ${reposResult.status}`);
+        }
+        partial = partial || reposResult.truncated || !reposResult.ok || !eventsResult.ok || !orgsResult.ok;
+
+        // Candidate repos: pushed to during the year, own and member repos first,
+        // then repos seen in events, then org repos
+        const candidates = new Map();
+        const addCandidate = (fullName, pushedAt, createdAt, priority) => {
+            if (!fullName || candidates.has(fullName)) return;
+            if (pushedAt && Date.parse(pushedAt) < Date.parse(yearStart)) return;
+            if (createdAt && Date.parse(createdAt) > Date.parse(yearEnd)) return;
+            candidates.set(fullName, { fullName, pushedAt: pushedAt || '', priority });
+        };
 
-            if (!reposResponse.ok) {
-                console.warn(`Failed to fetch repos for ${username}: ${reposResponse.status} ${reposResponse.statusText}`);
-                return this.generateFallbackData(username, year);
+        reposResult.items.forEach(repo => addCandidate(repo.full_name, repo.pushed_at, repo.created_at, 0));
+        eventsResult.items.forEach(event => {
+            if (event.type === 'PushEvent' && inYear(event.created_at)) {
+                addCandidate(event.repo && event.repo.name, null, null, 1);
             }
+        });
 
-            const repos = await reposResponse.json();
-            console.log(`Found ${repos.length} repositories for ${username}`);
-            
-            if (!Array.isArray(repos) || repos.length === 0) {
-                console.log(`No repositories found for ${username} - returning empty data (not fake data)`);
-                return this.generateFallbackData(username, year);
+        const orgRepoResults = await Promise.all(orgsResult.items.map(org => this.fetchAllPages(
+            `https://api.github.com/orgs/${encodeURIComponent(org.login)}/repos?type=all&sort=pushed&per_page=100`,
+            { maxPages: 1 }
+        )));
+        orgRepoResults.forEach(result => {
+            partial = partial || result.truncated || !result.ok;
+            result.items.forEach(repo => addCandidate(repo.full_name, repo.pushed_at, repo.created_at, 2));
+        });
+
+        const rankedRepos = [...candidates.values()].sort((a, b) =>
+            a.priority - b.priority || b.pushedAt.localeCompare(a.pushedAt));
+        // Stay within the REST quota (60/hour anonymously): every account and year
+        // runs at once, so the pages are reserved with the shared scheduler first
+        const reservedPages = this.scheduler.reserve('rest', Math.min(this.restRepoLimit, rankedRepos.length) * this.restCommitPages);
+        const reposToProcess = rankedRepos.slice(0, Math.floor(reservedPages / this.restCommitPages));
+        if (rankedRepos.length > reposToProcess.length) {
+            console.warn(`Only checking ${reposToProcess.length} of ${rankedRepos.length} repositories for ${username} in ${year}`);
+            partial = true;
+        }
+
+        const contributionData = {};
+        const dayTypes = {};
+        const typeTotals = {};
+        const addContribution = (dateStr, type, count = 1) => {
+            contributionData[dateStr] = (contributionData[dateStr] || 0) + count;
+            dayTypes[dateStr] = dayTypes[dateStr] || {};
+            dayTypes[dateStr][type] = (dayTypes[dateStr][type] || 0) + count;
+            typeTotals[type] = (typeTotals[type] || 0) + count;
+        };
+
+        // Repos are fetched in parallel; the request scheduler paces them
+        let commitResults;
+        try {
+            commitResults = await Promise.all(reposToProcess.map(repo => this.fetchAllPages(
+                `https://api.github.com/repos/${repo.fullName}/commits?author=${encodeURIComponent(username)}&since=${encodeURIComponent(yearStart)}&until=${encodeURIComponent(yearEnd)}&per_page=100`,
+                { cacheType: pastYear ? 'calendarPast' : 'rest', maxPages: this.restCommitPages }
+            )));
+        } finally {
+            // The spent requests now show in `remaining`
+            this.scheduler.release('rest', reservedPages);
+        }
+        const seenCommits = new Set();
+        commitResults.forEach((result, index) => {
+            // 409 is an empty repository, not a failure
+            if (!result.ok && result.status !== 409) {
+                console.warn(`Failed to fetch commits for ${reposToProcess[index].fullName}: ${result.status}`);
+                partial = true;
             }
-            
-            const contributionData = {};
-            let totalCommits = 0;
-            
-            // Process a limited number of repositories to avoid rate limiting
-            const reposToProcess = repos.slice(0, 5);
-            console.log(`Processing ${reposToProcess.length} repositories`);
-            
-            for (const repo of reposToProcess) {
-                try {
-                    const since = `${year}-01-01T00:00:00Z`;
-                    const until = `${year}-12-31T23:59:59Z`;
-                    
-                    const commitsResponse = await this.fetchGitHubAPI(
-                        `https://api.github.com/repos/${username}/${repo.name}/commits?author=${username}&since=${since}&until=${until}&per_page=100`
-                    );
-                    
-                    if (commitsResponse.ok) {
-                        const commits = await commitsResponse.json();
-                        console.log(`Found ${commits.length} commits in ${repo.name} for ${year}`);
-                        
-                        commits.forEach(commit => {
-                            if (commit.commit && commit.commit.author && commit.commit.author.date) {
-                                const commitDate = new Date(commit.commit.author.date);
-                                if (commitDate.getFullYear() === year) {
-                                    const dateStr = commitDate.toISOString().split('T')[0];
-                                    contributionData[dateStr] = (contributionData[dateStr] || 0) + 1;
-                                    totalCommits++;
-                                }
-                            }
-                        });
-                    } else {
-                        console.warn(`Failed to fetch commits for ${repo.name}: ${commitsResponse.status}`);
-                    }
-                } catch (repoError) {
-                    console.warn(`Error processing repository ${repo.name}:`, repoError);
-                    continue;
+            partial = partial || result.truncated;
+            result.items.forEach(commit => {
+                // The same commit shows up in a fork and its parent
+                if (seenCommits.has(commit.sha)) return;
+                if (commit.sha) seenCommits.add(commit.sha);
+                const date = commit.commit && commit.commit.author && commit.commit.author.date;
+                if (inYear(date)) {
+                    addContribution(CalendarLayout.dateKeyAt(date, timeZone), 'commits');
                 }
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-            
-            console.log(`Total commits found for ${year}: ${totalCommits}`);
-            
-            // If we found some real data, return it
-            if (totalCommits > 0) {
-                return contributionData;
+            });
+        });
+
+        eventsResult.items.forEach(event => {
+            if (!inYear(event.created_at)) return;
+            const dateStr = CalendarLayout.dateKeyAt(event.created_at, timeZone);
+            const action = event.payload && event.payload.action;
+            if (event.type === 'PullRequestEvent' && action === 'opened') {
+                addContribution(dateStr, 'pullRequests');
+            } else if (event.type === 'IssuesEvent' && action === 'opened') {
+                addContribution(dateStr, 'issues');
+            } else if (event.type === 'PullRequestReviewEvent') {
+                addContribution(dateStr, 'reviews');
             }
-            
-            // Otherwise, generate realistic fallback data
-            return this.generateFallbackData(username, year);
-            
-        } catch (error) {
-            console.error('Error fetching real contribution data:', error);
-            return this.generateFallbackData(username, year);
-        }
+        });
+
+        // Only reported as cached when nothing was fetched live
+        const ages = [reposResult, eventsResult, orgsResult, ...orgRepoResults, ...commitResults].map(result => result.age);
+        const age = ages.includes(null) ? null : Math.max(...ages);
+
+        return {
+            days: contributionData,
+            dayTypes,
+            typeTotals,
+            status: this.describeStatus({ state: partial ? 'partial' : 'rest', age })
+        };
     }
 
     mergeContributionData(target, source) {
@@ -499,7 +3154,27 @@ class GitHubDashboard {
         return Object.values(contributionData).reduce((sum, count) => sum + count, 0);
     }
 
-    generateFallbackData(username, year) {
+    formatTypeBreakdown(typeCounts = {}, total = null) {
+        // "3 commits, 1 PR, 2 reviews"; anything the types don't account for
+        // (repo creation, truncated detail) is reported as "other"
+        if (!typeCounts) return '';
+        const parts = [];
+        let accounted = 0;
+        GitHubDashboard.CONTRIBUTION_TYPES.forEach(({ key, singular, plural }) => {
+            const count = typeCounts[key] || 0;
+            accounted += count;
+            if (count > 0) {
+                parts.push(`${count} ${count === 1 ? singular : plural}`);
+            }
+        });
+        if (parts.length === 0) return '';
+        if (total !== null && total > accounted) {
+            parts.push(`${total - accounted} other`);
+        }
+        return parts.join(', ');
+    }
+
+    generateFallbackData(username, year, state = 'failed', reason = null) {
         console.log(`API data unavailable for ${username}, year ${year} - returning empty contribution data instead of fake data`);
         
         // Return empty contribution data instead of generating fake data
@@ -508,17 +3183,34 @@ class GitHubDashboard {
         
         console.log(`Returned empty contribution data for ${year} (no fake data generated)`);
         
-        return contributionData;
+        // Flagged so the calendar isn't read as a real zero
+        return { days: contributionData, dayTypes: {}, typeTotals: {}, status: this.describeFailure({ state, reason }) };
     }
 
-    renderYearSection(year, contributionData, totalContributions, container, usersData = [], perUserMaps = {}) {
+    renderYearSection(year, contributionData, totalContributions, container, usersData = [], perUserMaps = {}, typeData = {}) {
+        // `year` is a calendar year or a period object ({ label, start, end }) such as the rolling window
+        const period = this.toPeriod(year);
         const yearSection = document.createElement('div');
         yearSection.className = 'year-section';
+        yearSection.dataset.period = String(period.key);
         
         // Year header
         const yearHeader = document.createElement('div');
         yearHeader.className = 'year-header';
-        yearHeader.textContent = `${year}: ${totalContributions} Contributions`;
+        yearHeader.textContent = `${period.label}: ${totalContributions} Contributions`;
+
+        const statusBadges = this.buildStatusBadges(typeData.perUserStatus);
+        if (statusBadges) {
+            yearHeader.appendChild(statusBadges);
+        }
+
+        const typeSummary = this.formatTypeBreakdown(typeData.combinedTypeTotals);
+        if (typeSummary) {
+            const headerBreakdown = document.createElement('span');
+            headerBreakdown.className = 'year-header-breakdown';
+            headerBreakdown.textContent = typeSummary;
+            yearHeader.appendChild(headerBreakdown);
+        }
         
         // Calendar container
         const calendarContainer = document.createElement('div');
@@ -528,67 +3220,353 @@ class GitHubDashboard {
         const monthsLabels = document.createElement('div');
         monthsLabels.className = 'months-labels';
         const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const monthSegments = this.getMonthSegments(period);
         
-        months.forEach((month, index) => {
+        monthSegments.forEach(({ year: segmentYear, month }, index) => {
             const monthLabel = document.createElement('span');
             monthLabel.className = 'month-label';
-            monthLabel.textContent = month;
             
             // Calculate the width of this month's contribution block
-            const monthWidth = this.calculateMonthBlockWidth(year, index);
+            const monthWidth = this.calculateMonthBlockWidth(segmentYear, month, period);
             monthLabel.style.width = `${monthWidth}px`;
+
+            // A clipped month a single week wide has no room for its name
+            monthLabel.textContent = monthWidth > 10 ? months[month] : '';
+            monthLabel.title = `${months[month]} ${segmentYear}`;
             
             // Add gap between month labels (except for the last one)
-            if (index < months.length - 1) {
+            if (index < monthSegments.length - 1) {
                 monthLabel.style.marginRight = '8px';
             }
             
             monthsLabels.appendChild(monthLabel);
         });
         
-        // Calendar grid with day labels
+        calendarContainer.appendChild(monthsLabels);
+        
+        // Levels are scaled to the counts this section actually shows, unless a shared scale is passed in.
+        // Compare rows share one scale across the accounts so their shades mean the same thing.
+        const compareUsers = this.getCompareUsers(usersData);
+        const scale = typeData.scale || this.buildIntensityScale(compareUsers
+            ? compareUsers.flatMap(user => this.collectShadedCounts(perUserMaps[user.login] || {}, period, [user], perUserMaps))
+            : this.collectShadedCounts(contributionData, period, usersData, perUserMaps)
+        );
+        this.sectionScales.set(String(period.key), scale);
+
+        let compareStats = null;
+        if (compareUsers) {
+            compareStats = this.renderCompareRows(calendarContainer, period, compareUsers, perUserMaps, typeData.perUserTypeMaps || {}, scale);
+        } else {
+            const contributionGrid = document.createElement('div');
+            contributionGrid.className = 'contribution-grid';
+            this.renderContributionGridByMonths(contributionData, contributionGrid, period, usersData, perUserMaps, typeData.perUserTypeMaps, scale);
+            calendarContainer.appendChild(this.buildCalendarGrid(contributionGrid));
+        }
+        
+        yearSection.appendChild(yearHeader);
+        yearSection.appendChild(calendarContainer);
+        yearSection.appendChild(this.buildLevelLegend(scale));
+        if (compareStats) {
+            yearSection.appendChild(this.buildCompareSummary(compareUsers, compareStats));
+        }
+
+        const buildSVG = () => this.buildSectionSVG(period, contributionData, totalContributions, usersData, perUserMaps, scale);
+        yearHeader.appendChild(this.buildImageExportButtons(period, buildSVG));
+        
+        container.appendChild(yearSection);
+    }
+
+    buildCalendarGrid(contributionGrid) {
+        // Day labels (S, M, T, W, T, F, S) beside a contribution grid
         const calendarGrid = document.createElement('div');
         calendarGrid.className = 'calendar-grid';
-        
-        // Day labels (S, M, T, W, T, F, S)
+
         const daysLabels = document.createElement('div');
         daysLabels.className = 'days-labels';
-        const dayLabels = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
-        dayLabels.forEach(day => {
+        CalendarLayout.DAY_LABELS.forEach(day => {
             const dayLabel = document.createElement('span');
             dayLabel.textContent = day;
             daysLabels.appendChild(dayLabel);
         });
-        
-        // Contribution grid
-        const contributionGrid = document.createElement('div');
-        contributionGrid.className = 'contribution-grid';
-        
-        this.renderContributionGridByMonths(contributionData, contributionGrid, year, usersData, perUserMaps);
-        
+
         calendarGrid.appendChild(daysLabels);
         calendarGrid.appendChild(contributionGrid);
-        
-        calendarContainer.appendChild(monthsLabels);
-        calendarContainer.appendChild(calendarGrid);
-        
-        yearSection.appendChild(yearHeader);
-        yearSection.appendChild(calendarContainer);
-        
-        container.appendChild(yearSection);
+        return calendarGrid;
+    }
+
+    renderCompareRows(container, period, users, perUserMaps, perUserTypeMaps, scale) {
+        // One aligned row per account, then a row marking days only one of them was active.
+        // Returns { perUser: stats, onlyDays: { login: count } } for the summary.
+        const today = this.getToday();
+        const perUser = {};
+        users.forEach(user => {
+            const days = perUserMaps[user.login] || {};
+            perUser[user.login] = ContributionStats.compute(days, [period], today);
+
+            const label = document.createElement('div');
+            label.className = 'compare-row-label';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = this.getUserColor(user.login);
+            label.appendChild(swatch);
+            label.appendChild(document.createTextNode(`${user.login}: ${perUser[user.login].total} contributions`));
+            container.appendChild(label);
+
+            const grid = document.createElement('div');
+            grid.className = 'contribution-grid';
+            this.renderContributionGridByMonths(days, grid, period, [user], { [user.login]: days }, { [user.login]: perUserTypeMaps[user.login] || {} }, scale);
+            grid.setAttribute('aria-label', `Contributions by ${user.login}, ${period.label}`);
+            container.appendChild(this.buildCalendarGrid(grid));
+        });
+
+        const label = document.createElement('div');
+        label.className = 'compare-row-label';
+        label.textContent = 'Only one account active';
+        container.appendChild(label);
+
+        const { grid, onlyDays } = this.buildCompareDiffGrid(period, users, perUserMaps);
+        container.appendChild(this.buildCalendarGrid(grid));
+        return { perUser, onlyDays };
+    }
+
+    buildCompareDiffGrid(period, users, perUserMaps) {
+        // Days with exactly one active account take that account's colour; shared days are neutral
+        const onlyDays = Object.fromEntries(users.map(user => [user.login, 0]));
+        const grid = document.createElement('div');
+        grid.className = 'contribution-grid compare-diff';
+
+        for (const { year: segmentYear, month } of this.getMonthSegments(period)) {
+            const monthBlock = document.createElement('div');
+            monthBlock.className = 'month-block';
+            const { monthStartDate, monthEndDate, startDate, endDate } = this.getMonthBlockRange(segmentYear, month, period);
+
+            for (let day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
+                const dateStr = this.formatDateKey(day);
+                const cell = document.createElement('div');
+                cell.className = 'contribution-day level-0';
+                cell.dataset.date = dateStr;
+                if (day < monthStartDate || day > monthEndDate) {
+                    cell.classList.add('outside');
+                } else {
+                    const active = users.filter(user => ((perUserMaps[user.login] || {})[dateStr] || 0) > 0);
+                    const readableDate = day.toDateString();
+                    if (active.length === 1) {
+                        cell.classList.add('diff-only');
+                        cell.style.background = this.getUserColor(active[0].login);
+                        cell.title = `${readableDate}: only ${active[0].login}`;
+                        onlyDays[active[0].login]++;
+                    } else if (active.length > 1) {
+                        cell.classList.add('diff-shared');
+                        cell.title = `${readableDate}: ${active.map(user => user.login).join(', ')}`;
+                    }
+                }
+                monthBlock.appendChild(cell);
+            }
+            grid.appendChild(monthBlock);
+        }
+
+        // Read as one summary rather than cell by cell
+        grid.setAttribute('role', 'img');
+        grid.setAttribute('aria-label', `Days only one account was active, ${period.label}: ${
+            users.map(user => `${user.login} ${onlyDays[user.login]}`).join(', ')}`);
+        return { grid, onlyDays };
+    }
+
+    buildCompareSummary(users, { perUser, onlyDays }) {
+        // Each account's numbers, with the difference from the first account
+        const table = document.createElement('table');
+        table.className = 'stats-table compare-summary';
+
+        const headRow = document.createElement('tr');
+        ['', ...users.map(user => user.login)].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            headRow.appendChild(cell);
+        });
+        table.createTHead().appendChild(headRow);
+
+        const rows = [
+            { label: 'Contributions', value: login => perUser[login].total },
+            { label: 'Active days', value: login => perUser[login].activeDays },
+            { label: 'Longest streak', value: login => perUser[login].longestStreak.length },
+            { label: 'Current streak', value: login => perUser[login].currentStreak.length },
+            { label: 'Days only this account', value: login => onlyDays[login] }
+        ];
+        const body = table.createTBody();
+        const baseline = users[0].login;
+        rows.forEach(({ label, value }) => {
+            const row = document.createElement('tr');
+            const heading = document.createElement('th');
+            heading.textContent = label;
+            row.appendChild(heading);
+
+            users.forEach(user => {
+                const cell = document.createElement('td');
+                cell.textContent = value(user.login);
+                const delta = value(user.login) - value(baseline);
+                if (user.login !== baseline && delta !== 0) {
+                    const deltaEl = document.createElement('span');
+                    deltaEl.className = `compare-delta ${delta > 0 ? 'up' : 'down'}`;
+                    deltaEl.textContent = ` (${delta > 0 ? '+' : '−'}${Math.abs(delta)})`;
+                    deltaEl.title = `Compared with ${baseline}`;
+                    cell.appendChild(deltaEl);
+                }
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        return table;
+    }
+
+    buildImageExportButtons(period, buildSVG) {
+        const group = document.createElement('span');
+        group.className = 'image-export';
+        // exportPNG() has already reported a failure in the error banner
+        const exportPNG = () => this.exportPNG(period, buildSVG()).catch(error => console.warn('PNG export failed:', error));
+        [['SVG', () => this.exportSVG(period, buildSVG())], ['PNG', exportPNG]].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = `Download ${period.label} as ${label}`;
+            button.addEventListener('click', action);
+            group.appendChild(button);
+        });
+        return group;
+    }
+
+    buildSectionSVG(period, contributionData, totalContributions, usersData, perUserMaps, scale) {
+        // Same section as on the page: shades by visible accounts in per-user mode
+        const perUserMode = this.colorMode === 'per-user';
+        const days = {};
+        Object.keys(contributionData).forEach(dateStr => {
+            days[dateStr] = perUserMode
+                ? usersData.reduce((sum, user) => sum + (this.hiddenUsers.has(user.login) ? 0 : (perUserMaps[user.login] || {})[dateStr] || 0), 0)
+                : contributionData[dateStr];
+        });
+
+        return CalendarSVG.render({
+            period,
+            days,
+            scale,
+            total: totalContributions,
+            // Images keep the light palette unless the theme sets its own level colours
+            levelColors: this.theme.levels || undefined,
+            cellColors: perUserMode
+                ? (dateStr) => this.getPerUserColors(
+                    Object.fromEntries(usersData.map(user => [user.login, (perUserMaps[user.login] || {})[dateStr] || 0])),
+                    usersData,
+                    scale
+                )
+                : null
+        });
+    }
+
+    getImageFileName(period, extension) {
+        const logins = (this.currentUserProfiles || []).map(user => user.login);
+        const who = logins.length === 1 ? logins[0] : `${logins.length}-accounts`;
+        return `contributions-${who}-${String(period.key)}.${extension}`;
+    }
+
+    exportSVG(period, svg) {
+        this.downloadFile(this.getImageFileName(period, 'svg'), svg, 'image/svg+xml');
+        return svg;
+    }
+
+    exportPNG(period, svg, pixelRatio = 2) {
+        // Rasterizes the SVG through an <img> and a canvas. Failures are shown in the
+        // error banner and reject the returned promise
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const fail = (reason) => {
+                this.showError(`Could not render ${period.label} as PNG.`);
+                reject(new Error(reason));
+            };
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width * pixelRatio;
+                canvas.height = image.height * pixelRatio;
+                const context = canvas.getContext('2d');
+                if (!context) {
+                    fail('Canvas is not available');
+                    return;
+                }
+                context.scale(pixelRatio, pixelRatio);
+                context.drawImage(image, 0, 0);
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        fail('PNG encoding failed');
+                        return;
+                    }
+                    this.downloadFile(this.getImageFileName(period, 'png'), blob, 'image/png');
+                    resolve(blob);
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                fail('SVG could not be loaded as an image');
+            };
+            image.src = url;
+        });
+    }
+
+    worseStatus(current, next) {
+        if (!current) return next;
+        if (!next) return current;
+        const rank = (status) => GitHubDashboard.STATUS_STATES[status.state].rank;
+        if (rank(next) !== rank(current)) return rank(next) > rank(current) ? next : current;
+        // Same state: keep the older cache age
+        return (next.age || 0) > (current.age || 0) ? next : current;
+    }
+
+    buildStatusBadges(perUserStatus = {}) {
+        // One badge per distinct status, naming the accounts it applies to
+        const groups = new Map();
+        Object.entries(perUserStatus).forEach(([login, status]) => {
+            if (!status) return;
+            const group = groups.get(status.state) || { logins: [], status };
+            group.logins.push(login);
+            group.status = this.worseStatus(group.status, status);
+            groups.set(status.state, group);
+        });
+        if (groups.size === 0) return null;
+
+        const wrapper = document.createElement('span');
+        wrapper.className = 'data-status';
+        [...groups.values()]
+            .sort((a, b) => GitHubDashboard.STATUS_STATES[b.status.state].rank - GitHubDashboard.STATUS_STATES[a.status.state].rank)
+            .forEach(({ logins, status }) => {
+                wrapper.appendChild(this.buildStatusBadge(status, logins));
+            });
+        return wrapper;
+    }
+
+    buildStatusBadge(status, logins = []) {
+        const badge = document.createElement('span');
+        badge.className = `status-badge status-${status.state}`;
+        badge.textContent = status.label;
+        const detail = status.reason ? ` (${status.reason})` : '';
+        badge.title = logins.length > 0 ? `${status.label}${detail}: ${logins.join(', ')}` : `${status.label}${detail}`;
+        return badge;
     }
 
-    updateCommitBreakdown(usersData, perUserTotals, totalContributions) {
+    updateCommitBreakdown(usersData, perUserTotals, totalContributions, perUserTypeTotals = {}) {
         const breakdown = this.qs('#user-commit-breakdown');
         if (breakdown) {
             breakdown.innerHTML = '';
-            usersData.forEach((user, index) => {
+            // Org members are ranked by activity; hand-picked accounts keep their order
+            const pillUsers = this.organization
+                ? [...usersData].sort((a, b) => (perUserTotals[b.login] || 0) - (perUserTotals[a.login] || 0))
+                : usersData;
+            breakdown.classList.toggle('many', pillUsers.length > 6);
+            pillUsers.forEach((user, index) => {
                 const pill = document.createElement('div');
                 pill.className = 'commit-pill';
 
                 // Create anchor element for the avatar to link to GitHub profile
                 const avatarLink = document.createElement('a');
-                avatarLink.href = `https://github.com/${user.login}`;
+                avatarLink.href = `https://github.com/${encodeURIComponent(user.login)}`;
                 avatarLink.target = '_blank'; // Open in new tab
                 avatarLink.style.display = 'inline-block'; // Maintain proper styling
 
@@ -610,16 +3588,29 @@ class GitHubDashboard {
 
                 const role = document.createElement('div');
                 role.className = 'pill-role';
-                role.textContent = index === 0 ? 'Primary' : 'Secondary';
+                if (this.organization) {
+                    role.textContent = `#${index + 1} in ${this.formatOrganization(this.organization)}`;
+                } else {
+                    role.textContent = index === 0 ? 'Primary' : 'Secondary';
+                }
 
                 const count = document.createElement('div');
                 count.className = 'pill-count';
-                count.textContent = `${perUserTotals[user.login] || 0} commits`;
+                const userTotal = perUserTotals[user.login] || 0;
+                count.textContent = `${userTotal} ${userTotal === 1 ? 'contribution' : 'contributions'}`;
 
                 meta.appendChild(username);
                 meta.appendChild(role);
                 meta.appendChild(count);
 
+                const typeSummary = this.formatTypeBreakdown(perUserTypeTotals[user.login], userTotal);
+                if (typeSummary) {
+                    const types = document.createElement('div');
+                    types.className = 'pill-types';
+                    types.textContent = typeSummary;
+                    meta.appendChild(types);
+                }
+
                 pill.appendChild(avatarLink);
                 pill.appendChild(meta);
 
@@ -639,75 +3630,594 @@ class GitHubDashboard {
 
     }
 
+    updateContributionStats(usersData, renderedPeriods) {
+        // Stats over everything currently rendered; also exposed as this.stats / getStats().
+        // The rendered periods are kept for export.
+        this.renderedPeriods = renderedPeriods;
+        const ranges = renderedPeriods.map(({ period }) => ({ start: period.start, end: period.end }));
+        const combinedData = {};
+        const perUserData = {};
+        renderedPeriods.forEach(({ data }) => {
+            this.mergeContributionData(combinedData, data.combinedContributionData);
+            usersData.forEach(user => {
+                perUserData[user.login] = perUserData[user.login] || {};
+                this.mergeContributionData(perUserData[user.login], data.perUserMaps[user.login]);
+            });
+        });
+
+        const perUser = {};
+        usersData.forEach(user => {
+            perUser[user.login] = ContributionStats.compute(perUserData[user.login] || {}, ranges, this.getToday());
+        });
+
+        this.stats = {
+            ranges,
+            combined: ContributionStats.compute(combinedData, ranges, this.getToday()),
+            perUser
+        };
+        this.renderStatsPanel(usersData);
+        return this.stats;
+    }
+
+    getStats() {
+        return this.stats;
+    }
+
+    renderStatsPanel(usersData) {
+        const panel = this.qs('#contribution-stats');
+        if (!panel || !this.stats) return;
+        panel.innerHTML = '';
+
+        const columns = [{ label: 'Combined', stats: this.stats.combined }];
+        if (usersData.length > 1) {
+            usersData.forEach(user => columns.push({ label: user.login, stats: this.stats.perUser[user.login] }));
+        }
+
+        const formatStreak = (streak) => `${streak.length} ${streak.length === 1 ? 'day' : 'days'}`;
+        const formatDate = (dateStr) => CalendarLayout.parseDateKey(dateStr).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        const rows = [
+            { label: 'Current streak', value: stats => formatStreak(stats.currentStreak) },
+            { label: 'Longest streak', value: stats => formatStreak(stats.longestStreak) },
+            { label: 'Busiest day', value: stats => stats.busiestDay.date ? `${stats.busiestDay.count} on ${formatDate(stats.busiestDay.date)}` : '–' },
+            { label: 'Avg / active day', value: stats => String(stats.averagePerActiveDay) },
+            { label: 'Active days', value: stats => `${stats.activeDays} (${stats.activePercentage}%)` },
+            { label: 'Weekdays', chart: stats => stats.weekdayDistribution, labels: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] },
+            { label: 'Months', chart: stats => stats.monthDistribution, labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'] }
+        ];
+
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+
+        const headRow = document.createElement('tr');
+        headRow.appendChild(document.createElement('th'));
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = column.label;
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = row.label;
+            tr.appendChild(th);
+
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                if (row.chart) {
+                    td.appendChild(this.buildDistributionChart(row.chart(column.stats), row.labels));
+                } else {
+                    td.textContent = row.value(column.stats);
+                }
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        panel.appendChild(table);
+    }
+
+    buildDistributionChart(values, labels) {
+        const chart = document.createElement('div');
+        chart.className = 'stats-chart';
+        const max = Math.max(...values, 1);
+        values.forEach((value, index) => {
+            const bar = document.createElement('span');
+            bar.className = 'stats-bar';
+            bar.style.height = `${Math.max(Math.round((value / max) * 100), value > 0 ? 8 : 0)}%`;
+            bar.title = `${labels[index]}: ${value}`;
+            chart.appendChild(bar);
+        });
+        return chart;
+    }
+
     // Remove the old fake data generation methods since we now use real data
 
-    renderContributionGridByMonths(contributionData, grid, year, usersData = [], perUserMaps = {}) {
+    buildExport() {
+        // Everything currently rendered, one entry per period, plus profile stats
+        const usersData = this.currentUserProfiles || [];
+        const formatDate = (date) => this.formatDateKey(date);
+        const profileFields = ['login', 'name', 'avatar_url', 'bio', 'followers', 'following', 'public_repos', 'starred_repos', 'created_at'];
+
+        return {
+            format: 'github-multi-dashboard',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            users: usersData.map(user => user.login),
+            profiles: usersData.map(user => Object.fromEntries(profileFields.map(field => [field, user[field] ?? null]))),
+            periods: this.renderedPeriods.map(({ period, data }) => ({
+                key: period.key,
+                label: period.label,
+                start: formatDate(period.start),
+                end: formatDate(period.end),
+                total: data.combinedYearContributions,
+                combined: data.combinedContributionData,
+                perUser: data.perUserMaps,
+                perUserTypes: data.perUserTypeMaps,
+                perUserTypeTotals: data.perUserTypeTotals,
+                combinedTypeTotals: data.combinedTypeTotals
+            }))
+        };
+    }
+
+    buildCSV() {
+        // One row per date in the rendered periods: date, total, then one column per login
+        const logins = (this.currentUserProfiles || []).map(user => user.login);
+        const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const rows = new Map();
+
+        this.renderedPeriods.forEach(({ period, data }) => {
+            for (let day = new Date(period.start); day <= period.end; day.setDate(day.getDate() + 1)) {
+                const dateStr = this.formatDateKey(day);
+                const counts = logins.map(login => (data.perUserMaps[login] || {})[dateStr] || 0);
+                rows.set(dateStr, [dateStr, data.combinedContributionData[dateStr] || 0, ...counts].join(','));
+            }
+        });
+
+        const header = ['date', 'total', ...logins].map(escape).join(',');
+        const body = [...rows.keys()].sort().map(dateStr => rows.get(dateStr));
+        return [header, ...body].join('\n') + '\n';
+    }
+
+    formatDateKey(date) {
+        return CalendarLayout.formatDateKey(date);
+    }
+
+    exportData(format = 'json') {
+        const body = format === 'csv' ? this.buildCSV() : JSON.stringify(this.buildExport(), null, 2);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const logins = (this.currentUserProfiles || []).map(user => user.login);
+        const name = `contributions-${logins.length === 1 ? logins[0] : `${logins.length}-accounts`}.${format === 'csv' ? 'csv' : 'json'}`;
+        this.downloadFile(name, body, type);
+        return body;
+    }
+
+    downloadFile(name, body, type) {
+        const url = URL.createObjectURL(body instanceof Blob ? body : new Blob([body], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    parseImport(text) {
+        // Accepts the JSON export or the CSV export and returns a snapshot:
+        // { users, profiles, perUserDays, perUserTypes, typeTotalsByYear }.
+        // A file is untrusted input: only valid logins, date keys, counts and the
+        // known scalar profile fields are kept.
+        const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const isCount = (value) => Number.isFinite(value) && value >= 0;
+        const asObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+        const cleanTypes = (types) => Object.fromEntries(GitHubDashboard.CONTRIBUTION_TYPES
+            .map(({ key }) => [key, asObject(types)[key]])
+            .filter(([, count]) => isCount(count)));
+        const cleanDays = (days) => Object.fromEntries(Object.entries(asObject(days))
+            .filter(([date, count]) => isDateKey(date) && isCount(count)));
+        const cleanDayTypes = (dayTypes) => Object.fromEntries(Object.entries(asObject(dayTypes))
+            .filter(([date]) => isDateKey(date))
+            .map(([date, types]) => [date, cleanTypes(types)]));
+        const cleanProfile = (profile) => {
+            const text = (value) => (typeof value === 'string' ? value : null);
+            const count = (value) => (isCount(value) ? value : null);
+            const avatar = text(profile.avatar_url);
+            return {
+                login: profile.login,
+                name: text(profile.name) || profile.login,
+                avatar_url: avatar && avatar.startsWith('https://') ? avatar : '',
+                bio: text(profile.bio),
+                followers: count(profile.followers),
+                following: count(profile.following),
+                public_repos: count(profile.public_repos),
+                starred_repos: count(profile.starred_repos),
+                created_at: text(profile.created_at)
+            };
+        };
+        const cleanUsers = (logins) => [...new Set(logins.filter(login => GitHubDashboard.isValidLogin(login)))];
+
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            const file = JSON.parse(trimmed);
+            if (file.format !== 'github-multi-dashboard' || !Array.isArray(file.periods)) {
+                throw new Error('Not a dashboard export');
+            }
+            const users = cleanUsers(Array.isArray(file.users) ? file.users : []);
+            const profiles = (Array.isArray(file.profiles) ? file.profiles : [])
+                .filter(profile => profile && users.includes(profile.login))
+                .map(cleanProfile);
+            const snapshot = { users, profiles, perUserDays: {}, perUserTypes: {}, typeTotalsByYear: {} };
+            file.periods.forEach(period => {
+                users.forEach(login => {
+                    snapshot.perUserDays[login] = { ...snapshot.perUserDays[login], ...cleanDays(asObject(period.perUser)[login]) };
+                    snapshot.perUserTypes[login] = { ...snapshot.perUserTypes[login], ...cleanDayTypes(asObject(period.perUserTypes)[login]) };
+                });
+                // Whole-year totals from GraphQL are kept; other periods are re-derived from days
+                if (Number.isInteger(period.key) && period.perUserTypeTotals) {
+                    snapshot.typeTotalsByYear[period.key] = Object.fromEntries(
+                        users.map(login => [login, cleanTypes(asObject(period.perUserTypeTotals)[login])])
+                    );
+                }
+            });
+            return snapshot;
+        }
+
+        const [header, ...lines] = trimmed.split(/\r?\n/);
+        const columns = header.split(',');
+        if (columns[0] !== 'date' || columns[1] !== 'total') {
+            throw new Error('Expected a CSV with date,total,<login>... columns');
+        }
+        // Column index per login; columns with an invalid login are skipped
+        const userColumns = columns.slice(2)
+            .map((login, index) => ({ login: login.replace(/^"|"$/g, ''), index }))
+            .filter(({ login }) => GitHubDashboard.isValidLogin(login));
+        const users = cleanUsers(userColumns.map(({ login }) => login));
+        const snapshot = { users, profiles: [], perUserDays: {}, perUserTypes: {}, typeTotalsByYear: {} };
+        users.forEach(login => {
+            snapshot.perUserDays[login] = {};
+        });
+        lines.forEach(line => {
+            const [date, , ...counts] = line.split(',');
+            if (!isDateKey(date)) return;
+            userColumns.forEach(({ login, index }) => {
+                const count = Number(counts[index]) || 0;
+                if (count > 0) snapshot.perUserDays[login][date] = count;
+            });
+        });
+        return snapshot;
+    }
+
+    importData(text) {
+        // Renders a saved export without touching the network; the next reload
+        // (clear cache, org change, token change) goes back to live data
+        let snapshot;
+        try {
+            snapshot = this.parseImport(text);
+        } catch (error) {
+            this.showError(`Could not import file: ${error.message}`);
+            return;
+        }
+        if (snapshot.users.length === 0) {
+            this.showError('Could not import file: it has no accounts.');
+            return;
+        }
+
+        // A load still in flight is abandoned (it checks the generation after each step)
+        // and any queued reload dropped, so live data can't render over the import
+        this.loadGeneration++;
+        this.reloadRequested = false;
+        this.snapshot = snapshot;
+        this.clearErrors();
+        this.hideDayDetail();
+
+        const status = this.describeStatus({ state: 'imported' });
+        const profiles = snapshot.users.map(login => ({
+            login,
+            name: login,
+            followers: null,
+            following: null,
+            public_repos: null,
+            starred_repos: null,
+            avatar_url: '',
+            ...snapshot.profiles.find(profile => profile.login === login),
+            status
+        }));
+        this.currentUsers = snapshot.users;
+        this.currentUserProfiles = profiles;
+
+        const years = new Set();
+        Object.values(snapshot.perUserDays).forEach(days => {
+            Object.keys(days).forEach(date => years.add(Number(date.slice(0, 4))));
+        });
+        this.availableYears = [...years].sort((a, b) => b - a);
+        this.expandedYears = new Set(this.availableYears);
+        this.yearLoads = new Map();
+        this.yearData = new Map();
+        this.dayDetails = new Map();
+        this.availableYears.forEach(year => {
+            const inYear = (map) => Object.fromEntries(Object.entries(map || {}).filter(([date]) => date.startsWith(`${year}-`)));
+            const results = profiles.map(({ login }) => {
+                const dayTypes = inYear(snapshot.perUserTypes[login]);
+                let typeTotals = (snapshot.typeTotalsByYear[year] || {})[login];
+                if (!typeTotals) {
+                    typeTotals = {};
+                    Object.values(dayTypes).forEach(types => this.mergeContributionData(typeTotals, types));
+                }
+                return { days: inYear(snapshot.perUserDays[login]), dayTypes, typeTotals, status };
+            });
+            this.yearData.set(year, this.buildYearData(year, profiles, results));
+        });
+
+        // Imported years are shown as calendar years
+        this.calendarMode = 'years';
+        this.renderViewModeToggle();
+        this.updateProfileInfo(profiles);
+        this.renderYearPicker();
+        this.renderUserLegend();
+        this.renderExpandedYears(profiles);
+    }
+
+    renderContributionGridByMonths(contributionData, grid, year, usersData = [], perUserMaps = {}, perUserTypeMaps = {}, scale = null) {
         if (!grid) {
             grid = this.qs('#contribution-grid');
         }
         if (!year) {
             year = this.currentYear;
         }
+        const period = this.toPeriod(year);
+        if (!scale) {
+            scale = this.buildIntensityScale(this.collectShadedCounts(contributionData, period, usersData, perUserMaps));
+        }
         
         grid.innerHTML = '';
+        // A labelled group per calendar and per month rather than an ARIA grid: a month
+        // block is laid out as week columns, which grid rows can't describe. Days are
+        // buttons with one roving tab stop; arrow keys move by day and week
+        grid.setAttribute('role', 'group');
+        grid.setAttribute('aria-label', `Contributions, ${period.label}`);
+        if (!grid.dataset.keyboard) {
+            grid.dataset.keyboard = 'true';
+            grid.addEventListener('keydown', (event) => this.handleGridKeydown(event, grid), { signal: this.abortController.signal });
+        }
         
         // Create month blocks
-        for (let month = 0; month < 12; month++) {
+        for (const { year: segmentYear, month } of this.getMonthSegments(period)) {
             const monthBlock = document.createElement('div');
             monthBlock.className = 'month-block';
+            monthBlock.setAttribute('role', 'group');
+            monthBlock.setAttribute('aria-label', `${CalendarLayout.MONTH_NAMES[month]} ${segmentYear}`);
             
-            const monthStartDate = new Date(year, month, 1);
-            const monthEndDate = new Date(year, month + 1, 0);
-            
-            // Get the first Sunday of the week containing the first day of the month
-            const firstDayOfWeek = monthStartDate.getDay(); // 0 = Sunday
-            const startDate = new Date(monthStartDate);
-            startDate.setDate(startDate.getDate() - firstDayOfWeek);
-            
-            // Calculate end date to complete the grid (next Saturday)
-            const endDate = new Date(monthEndDate);
-            const lastDayOfWeek = endDate.getDay();
-            const saturdayOffset = lastDayOfWeek === 6 ? 0 : 6 - lastDayOfWeek;
-            endDate.setDate(endDate.getDate() + saturdayOffset);
+            const { monthStartDate, monthEndDate, startDate, endDate } = this.getMonthBlockRange(segmentYear, month, period);
             
             let currentDate = new Date(startDate);
             
             while (currentDate <= endDate) {
-                const dateStr = currentDate.toISOString().split('T')[0];
-                const perUserCounts = {};
-                usersData.forEach(user => {
-                    perUserCounts[user.login] = (perUserMaps[user.login] && perUserMaps[user.login][dateStr]) || 0;
-                });
-                const contributionCount = contributionData[dateStr] || 0;
-                const level = currentDate.getMonth() === month ? this.getContributionLevel(contributionCount) : 0;
-                
-                const dayElement = document.createElement('div');
-                dayElement.className = `contribution-day level-${level}`;
-                dayElement.title = this.buildDayTooltip(dateStr, perUserCounts, usersData);
-                dayElement.dataset.date = dateStr;
-                dayElement.dataset.count = contributionCount;
-                dayElement.dataset.users = JSON.stringify(perUserCounts);
-                
-                // Dim days outside current month
-                if (currentDate.getMonth() !== month) {
-                    dayElement.style.opacity = '0.2';
-                }
-                
-                dayElement.addEventListener('click', (event) => {
-                    if (contributionCount > 0) {
-                        this.showActivityTooltip(dateStr, perUserCounts, usersData, event.currentTarget);
-                    } else {
-                        this.hideActivityTooltip();
-                    }
-                });
-                
-                monthBlock.appendChild(dayElement);
+                const dateStr = this.formatDateKey(currentDate);
+                const inBlock = currentDate >= monthStartDate && currentDate <= monthEndDate;
+                monthBlock.appendChild(this.buildDayCell(dateStr, inBlock, contributionData, usersData, perUserMaps, perUserTypeMaps, scale));
                 
                 currentDate.setDate(currentDate.getDate() + 1);
             }
-            
-            grid.appendChild(monthBlock);
+            
+            grid.appendChild(monthBlock);
+        }
+
+        // Roving tabindex: one tab stop per grid, on the last focused day, today, or the first day
+        const days = [...grid.querySelectorAll('.contribution-day:not(.outside)')];
+        const todayKey = this.formatDateKey(this.getToday());
+        const tabStop = days.find(cell => cell.dataset.date === this.focusedDate)
+            || days.find(cell => cell.dataset.date === todayKey)
+            || days[0];
+        if (tabStop) {
+            tabStop.tabIndex = 0;
+        }
+    }
+
+    handleGridKeydown(event, grid) {
+        const cell = event.target.closest('.contribution-day');
+        if (!cell || !grid.contains(cell)) return;
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            cell.click();
+            return;
+        }
+        if (event.key === 'Escape') {
+            if (this.activeTooltip) {
+                event.preventDefault();
+                this.hideActivityTooltip();
+            }
+            return;
+        }
+
+        // Movement stays inside this grid: at its edges the key does nothing, and Tab
+        // reaches the next calendar
+        const steps = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+        const days = [...grid.querySelectorAll('.contribution-day:not(.outside)')];
+        let target = null;
+        if (event.key in steps) {
+            const date = CalendarLayout.parseDateKey(cell.dataset.date);
+            date.setDate(date.getDate() + steps[event.key]);
+            const key = this.formatDateKey(date);
+            target = days.find(day => day.dataset.date === key);
+        } else if (event.key === 'Home') {
+            target = days[0];
+        } else if (event.key === 'End') {
+            target = days[days.length - 1];
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        if (!target) return;
+        this.hideActivityTooltip();
+        days.forEach(day => { day.tabIndex = -1; });
+        target.tabIndex = 0;
+        target.focus();
+        this.focusedDate = target.dataset.date;
+    }
+
+    buildDayLabel(dateStr, contributionCount, perUserCounts, usersData) {
+        // e.g. "3 contributions on March 4, 2025 by gradientwolf"
+        const readableDate = CalendarLayout.parseDateKey(dateStr).toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' });
+        const countLabel = (count) => `${count} ${count === 1 ? 'contribution' : 'contributions'}`;
+        if (contributionCount === 0) return `No contributions on ${readableDate}`;
+
+        const active = usersData.filter(user => perUserCounts[user.login] > 0);
+        if (active.length === 1) return `${countLabel(contributionCount)} on ${readableDate} by ${active[0].login}`;
+        const breakdown = active.map(user => `${user.login} ${perUserCounts[user.login]}`).join(', ');
+        return `${countLabel(contributionCount)} on ${readableDate}${breakdown ? `: ${breakdown}` : ''}`;
+    }
+
+    buildDayCell(dateStr, inBlock, contributionData, usersData, perUserMaps, perUserTypeMaps, scale) {
+        const perUserCounts = {};
+        const perUserTypes = {};
+        usersData.forEach(user => {
+            perUserCounts[user.login] = (perUserMaps[user.login] && perUserMaps[user.login][dateStr]) || 0;
+            perUserTypes[user.login] = (perUserTypeMaps[user.login] && perUserTypeMaps[user.login][dateStr]) || {};
+        });
+        const contributionCount = contributionData[dateStr] || 0;
+        const perUserMode = this.colorMode === 'per-user';
+        // Per-user mode shades by the accounts left visible in the legend
+        const visibleCount = perUserMode
+            ? usersData.reduce((sum, user) => sum + (this.hiddenUsers.has(user.login) ? 0 : perUserCounts[user.login]), 0)
+            : contributionCount;
+        const level = inBlock ? this.getContributionLevel(visibleCount, scale) : 0;
+        // Accounts hidden in the legend are left out of the label, tooltip, detail and event too
+        const shownUsers = perUserMode ? usersData.filter(user => !this.hiddenUsers.has(user.login)) : usersData;
+        const shownCounts = Object.fromEntries(shownUsers.map(user => [user.login, perUserCounts[user.login]]));
+        const shownTypes = Object.fromEntries(shownUsers.map(user => [user.login, perUserTypes[user.login]]));
+        
+        const dayElement = document.createElement('div');
+        dayElement.className = `contribution-day level-${level}`;
+        if (perUserMode && inBlock && visibleCount > 0) {
+            dayElement.classList.add('per-user');
+            dayElement.style.background = this.buildPerUserBackground(perUserCounts, usersData, scale);
+        }
+        dayElement.title = this.buildDayTooltip(dateStr, shownCounts, shownUsers);
+        dayElement.setAttribute('role', 'button');
+        dayElement.dataset.date = dateStr;
+        dayElement.dataset.count = contributionCount;
+        dayElement.dataset.users = JSON.stringify(perUserCounts);
+        
+        // Dim days outside current month (or outside the period)
+        if (!inBlock) {
+            dayElement.classList.add('outside');
+            dayElement.setAttribute('aria-hidden', 'true');
+        } else {
+            dayElement.setAttribute('aria-label', this.buildDayLabel(dateStr, visibleCount, shownCounts, shownUsers));
+            dayElement.tabIndex = -1;
+            dayElement.addEventListener('focus', () => {
+                this.focusedDate = dateStr;
+            });
+        }
+        
+        dayElement.addEventListener('click', (event) => {
+            if (visibleCount > 0) {
+                this.showActivityTooltip(dateStr, shownCounts, shownUsers, event.currentTarget, shownTypes);
+                this.showDayDetail(dateStr, shownCounts, shownUsers);
+                this.emit('day:select', { date: dateStr, total: visibleCount, perUser: shownCounts, types: shownTypes });
+            } else {
+                this.hideActivityTooltip();
+            }
+        });
+        return dayElement;
+    }
+
+    getUserColor(login) {
+        if (this.userColors[login]) return this.userColors[login];
+        const palette = this.theme.users || GitHubDashboard.USER_COLORS;
+        const index = Math.max(this.currentUserProfiles.findIndex(user => user.login === login), 0);
+        return palette[index % palette.length];
+    }
+
+    getPerUserColors(perUserCounts, usersData, scale) {
+        // One colour per active, visible account, shaded by its own level
+        const active = usersData.filter(user => !this.hiddenUsers.has(user.login) && perUserCounts[user.login] > 0);
+        const alphas = [0, 0.35, 0.55, 0.75, 1];
+        return active.map(user => this.withAlpha(
+            this.getUserColor(user.login),
+            alphas[this.getContributionLevel(perUserCounts[user.login], scale)]
+        ));
+    }
+
+    buildPerUserBackground(perUserCounts, usersData, scale) {
+        // One hard-edged vertical stripe per account
+        const colors = this.getPerUserColors(perUserCounts, usersData, scale);
+        if (colors.length === 1) return colors[0];
+
+        const stops = colors.map((color, index) => {
+            const from = (index / colors.length) * 100;
+            const to = ((index + 1) / colors.length) * 100;
+            return `${color} ${from}% ${to}%`;
+        });
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+
+    withAlpha(hexColor, alpha) {
+        const hex = hexColor.replace('#', '');
+        const full = hex.length === 3 ? hex.split('').map(char => char + char).join('') : hex;
+        const value = parseInt(full, 16);
+        if (Number.isNaN(value)) return hexColor;
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    setColorMode(mode) {
+        this.colorMode = mode === 'per-user' ? 'per-user' : 'combined';
+        this.renderColorModeToggle();
+        this.renderUserLegend();
+        this.renderExpandedYears();
+    }
+
+    renderColorModeToggle() {
+        const toggle = this.qs('#color-mode');
+        if (!toggle) return;
+        toggle.setAttribute('aria-pressed', String(this.colorMode === 'per-user'));
+    }
+
+    toggleUserVisibility(login) {
+        if (this.hiddenUsers.has(login)) {
+            this.hiddenUsers.delete(login);
+        } else {
+            this.hiddenUsers.add(login);
         }
+        this.renderUserLegend();
+        this.renderExpandedYears();
+    }
+
+    renderUserLegend() {
+        const legend = this.qs('#user-legend');
+        if (!legend) return;
+        legend.innerHTML = '';
+        legend.hidden = this.colorMode !== 'per-user' && this.layout !== 'compare';
+        if (legend.hidden) return;
+
+        this.currentUserProfiles.forEach(user => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'legend-user';
+            item.setAttribute('aria-pressed', String(!this.hiddenUsers.has(user.login)));
+            item.title = this.hiddenUsers.has(user.login) ? `Show ${user.login}` : `Hide ${user.login}`;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = this.getUserColor(user.login);
+
+            const label = document.createElement('span');
+            label.textContent = user.login;
+
+            item.appendChild(swatch);
+            item.appendChild(label);
+            item.addEventListener('click', () => this.toggleUserVisibility(user.login));
+            legend.appendChild(item);
+        });
     }
 
     renderContributionGrid(contributionData) {
@@ -737,43 +4247,89 @@ class GitHubDashboard {
         return startDate;
     }
 
-    getContributionLevel(count) {
-        if (count === 0) return 0;
-        if (count <= 2) return 1;
-        if (count <= 5) return 2;
-        if (count <= 8) return 3;
-        return 4;
+    getContributionLevel(count, scale = null) {
+        return CalendarLayout.getContributionLevel(count, scale);
     }
 
-    calculateMonthBlockWidth(year, monthIndex) {
-        // Calculate the width of a month block based on the number of weeks it spans
-        const monthStartDate = new Date(year, monthIndex, 1);
-        const monthEndDate = new Date(year, monthIndex + 1, 0);
-        
-        // Get the first Sunday of the week containing the first day of the month
-        const firstDayOfWeek = monthStartDate.getDay(); // 0 = Sunday
-        const startDate = new Date(monthStartDate);
-        startDate.setDate(startDate.getDate() - firstDayOfWeek);
-        
-        // Calculate end date to complete the grid (next Saturday)
-        const endDate = new Date(monthEndDate);
-        const lastDayOfWeek = endDate.getDay();
-        const saturdayOffset = lastDayOfWeek === 6 ? 0 : 6 - lastDayOfWeek;
-        endDate.setDate(endDate.getDate() + saturdayOffset);
-        
-        // Calculate the number of weeks (columns) in this month
-        const totalDays = (endDate - startDate) / (1000 * 60 * 60 * 24) + 1;
-        const numberOfWeeks = Math.ceil(totalDays / 7);
-        
-        // Each week column is 10px (day width) + 3px gap between days, but no gap after the last week
-        // Width = (number of weeks * day width) + (number of gaps between weeks * gap width)
-        const dayWidth = 10;
-        const gapWidth = 3;
-        
-        // For a week column, we have 7 days with gaps between them (6 gaps)
-        // But the month block uses grid-auto-flow: column, so each column is one week
-        // The actual width is: number of weeks * (day width) + (number of weeks - 1) * column gap
-        return numberOfWeeks * dayWidth + (numberOfWeeks - 1) * gapWidth;
+    collectShadedCounts(contributionData, period, usersData = [], perUserMaps = {}) {
+        // The per-day counts a section shades: combined, or the visible accounts in per-user mode
+        const counts = [];
+        const current = new Date(period.start);
+        while (current <= period.end) {
+            const dateStr = this.formatDateKey(current);
+            if (this.colorMode === 'per-user') {
+                counts.push(usersData.reduce((sum, user) => {
+                    if (this.hiddenUsers.has(user.login)) return sum;
+                    return sum + ((perUserMaps[user.login] && perUserMaps[user.login][dateStr]) || 0);
+                }, 0));
+            } else {
+                counts.push(contributionData[dateStr] || 0);
+            }
+            current.setDate(current.getDate() + 1);
+        }
+        return counts;
+    }
+
+    buildIntensityScale(counts, type = this.intensityScale) {
+        return CalendarLayout.buildIntensityScale(counts, type);
+    }
+
+    getLevelRanges(scale) {
+        return CalendarLayout.getLevelRanges(scale);
+    }
+
+    buildLevelLegend(scale) {
+        const legend = document.createElement('div');
+        legend.className = 'level-legend';
+
+        const less = document.createElement('span');
+        less.textContent = 'Less';
+        legend.appendChild(less);
+
+        this.getLevelRanges(scale).forEach((range, level) => {
+            const item = document.createElement('span');
+            item.className = 'level-legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = `contribution-day level-${level}`;
+
+            const label = document.createElement('span');
+            label.className = 'level-legend-range';
+            label.textContent = CalendarLayout.formatLevelRange(range, level, scale);
+            item.title = range ? `${label.textContent} contributions` : 'No days at this level';
+
+            item.appendChild(swatch);
+            item.appendChild(label);
+            legend.appendChild(item);
+        });
+
+        const more = document.createElement('span');
+        more.textContent = 'More';
+        legend.appendChild(more);
+        return legend;
+    }
+
+    setIntensityScale(type) {
+        this.intensityScale = ['quartile', 'log', 'linear', 'fixed'].includes(type) ? type : 'quartile';
+        const select = this.qs('#intensity-scale');
+        if (select) select.value = this.intensityScale;
+        this.renderExpandedYears();
+    }
+
+    toPeriod(year) {
+        return CalendarLayout.toPeriod(year);
+    }
+
+    getMonthSegments(period) {
+        return CalendarLayout.getMonthSegments(period);
+    }
+
+    getMonthBlockRange(year, monthIndex, period = this.toPeriod(year)) {
+        return CalendarLayout.getMonthBlockRange(year, monthIndex, period);
+    }
+
+    calculateMonthBlockWidth(year, monthIndex, period) {
+        return CalendarLayout.calculateMonthBlockWidth(year, monthIndex, period);
     }
 
     buildDayTooltip(dateStr, perUserCounts = {}, usersData = []) {
@@ -810,82 +4366,89 @@ class GitHubDashboard {
     }
 
     showError(message) {
-        alert(message);
+        // Messages collect in a dismissible banner; repeats are shown once
+        const banner = this.qs('#error-banner');
+        const list = this.qs('#error-banner-messages');
         this.hideLoading();
+        if (list && [...list.children].some(item => item.textContent === message)) return;
+
+        if (!banner || !list) {
+            console.error(message);
+        } else {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+            banner.hidden = false;
+        }
+        this.emit('error', { message });
+    }
+
+    clearErrors() {
+        const banner = this.qs('#error-banner');
+        const list = this.qs('#error-banner-messages');
+        if (list) list.innerHTML = '';
+        if (banner) banner.hidden = true;
+    }
+
+    reportLoadProblems(renderedPeriods) {
+        // Failed calendars become one banner line per failure kind:
+        // "Rate-limited: alice (2025, 2024), bob (2025)"
+        const failures = new Map();
+        renderedPeriods.forEach(({ period, data }) => {
+            Object.entries(data.perUserStatus || {}).forEach(([login, status]) => {
+                if (!status || !status.failure) return;
+                const byLogin = failures.get(status.state) || new Map();
+                byLogin.set(login, (byLogin.get(login) || []).concat(period.label));
+                failures.set(status.state, byLogin);
+            });
+        });
+
+        failures.forEach((byLogin, state) => {
+            const accounts = [...byLogin.entries()].map(([login, labels]) => `${login} (${labels.join(', ')})`).join(', ');
+            this.showError(`${GitHubDashboard.STATUS_STATES[state].label}: ${accounts}. ${this.getFailureHint(state)}`);
+        });
+    }
+
+    getFailureHint(state) {
+        if (state === 'rate-limited') {
+            const resets = Object.values(this.scheduler.limits).filter(limit => limit && limit.reset).map(limit => limit.reset);
+            const retry = resets.length > 0
+                ? `Retry after ${new Date(Math.min(...resets)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : 'Retry in a few minutes';
+            return this.isAnonymous ? `${retry}, or add a token above for a higher limit.` : `${retry}.`;
+        }
+        if (state === 'auth-failed') return 'GitHub rejected the token; enter a new one above.';
+        if (state === 'not-found') return 'Check the account name.';
+        return 'Check your connection and reload.';
     }
 
     showProfileError(message) {
         // Display error in profile section instead of generic alert
         const nameEl = this.qs('#profile-name');
         const usernameEl = this.qs('#profile-username');
-        const followInfoEl = this.qs('#follow-info');
-        const followingInfoEl = this.qs('#following-info');
-        const repoInfoEl = this.qs('#repo-info');
+        const statLinesEl = this.qs('#stat-lines');
         const bioEl = this.qs('#profile-bio');
         const avatarStack = this.qs('#profile-avatar-stack');
 
         if (nameEl) nameEl.textContent = 'Error loading profile';
         if (usernameEl) usernameEl.textContent = 'unknown';
-        if (followInfoEl) {
-            followInfoEl.textContent = 'Profile stats unavailable';
-            followInfoEl.style.display = 'block';
-        }
-        if (followingInfoEl) {
-            followingInfoEl.textContent = '';
-            followingInfoEl.style.display = 'none';
-        }
-        if (repoInfoEl) {
-            repoInfoEl.textContent = '';
-            repoInfoEl.style.display = 'none';
+        if (statLinesEl) {
+            statLinesEl.innerHTML = '';
+            const unavailable = document.createElement('div');
+            unavailable.className = 'follow-info';
+            unavailable.textContent = 'Profile stats unavailable';
+            statLinesEl.appendChild(unavailable);
         }
         if (bioEl) bioEl.textContent = message;
         if (avatarStack) avatarStack.innerHTML = '';
         this.hideLoading();
     }
 
-    showContributionDataInfo(username) {
-        // Add an informational message when no contribution data is available
-        const container = this.qs('#all-years-container');
-        if (!container) return;
-        const infoDiv = document.createElement('div');
-        infoDiv.style.cssText = `
-            background-color: #fff3cd;
-            border: 1px solid #ffeaa7;
-            border-radius: 6px;
-            padding: 16px;
-            margin-bottom: 20px;
-            color: #856404;
-            font-size: 14px;
-            line-height: 1.5;
-        `;
-        infoDiv.innerHTML = `
-            <strong>⚠️ No contribution data found</strong><br>
-            This could be because:<br>
-            • The GitHub API rate limit has been exceeded (60 requests/hour without token)<br>
-            • The user has no public repositories<br>
-            • The repositories don't contain commits in the selected time range<br>
-            <br>
-            <strong>💡 To see more accurate data:</strong><br>
-            • Requests already include a GitHub token, but you may still hit rate limits; retry after a short wait<br>
-            • Ensure the repositories are public or the token has appropriate permissions
-        `;
-        container.insertBefore(infoDiv, container.firstChild);
-    }
-
     showContributionsLoading(container) {
         const loadingDiv = document.createElement('div');
-        loadingDiv.id = 'contributions-loading';
-        loadingDiv.style.cssText = `
-            background-color: #f8f9fa;
-            border: 1px solid #e9ecef;
-            border-radius: 6px;
-            padding: 40px;
-            text-align: center;
-            color: #6c757d;
-            font-size: 14px;
-        `;
+        loadingDiv.className = 'contributions-loading';
         loadingDiv.innerHTML = `
-            <div style="margin-bottom: 12px;">🔄</div>
+            <div class="contributions-loading-icon">🔄</div>
             <div><strong>Loading contribution data...</strong></div>
             <div>This may take a moment while we fetch your GitHub activity</div>
         `;
@@ -893,29 +4456,191 @@ class GitHubDashboard {
     }
 
     hideContributionsLoading(container) {
-        const loadingDiv = this.qs('#contributions-loading');
+        const loadingDiv = container.querySelector('.contributions-loading');
         if (loadingDiv) {
             loadingDiv.remove();
         }
     }
 
+    setupToolbar() {
+        const { signal } = this.abortController;
+        const scaleSelect = this.qs('#intensity-scale');
+        if (scaleSelect) {
+            scaleSelect.value = this.intensityScale;
+            scaleSelect.addEventListener('change', () => this.setIntensityScale(scaleSelect.value), { signal });
+        }
+
+        const colorModeToggle = this.qs('#color-mode');
+        if (colorModeToggle) {
+            colorModeToggle.addEventListener('click', () => {
+                this.setColorMode(this.colorMode === 'per-user' ? 'combined' : 'per-user');
+            }, { signal });
+            this.renderColorModeToggle();
+        }
+
+        const layoutToggle = this.qs('#compare-mode');
+        if (layoutToggle) {
+            layoutToggle.addEventListener('click', () => {
+                this.setLayout(this.layout === 'compare' ? 'merged' : 'compare');
+            }, { signal });
+            this.renderLayoutToggle();
+        }
+
+        const viewModeToggle = this.qs('#view-mode');
+        if (viewModeToggle) {
+            viewModeToggle.addEventListener('click', () => {
+                this.setCalendarMode(this.calendarMode === 'rolling' ? 'years' : 'rolling');
+            }, { signal });
+            this.renderViewModeToggle();
+        }
+
+        const orgForm = this.qs('#org-form');
+        const orgInput = this.qs('#org-input');
+        if (orgForm && orgInput) {
+            if (this.organization) {
+                orgInput.value = this.formatOrganization(this.organization);
+            }
+            orgForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.setOrganization(orgInput.value);
+            }, { signal });
+        }
+
+        const autoRefreshToggle = this.qs('#auto-refresh');
+        if (autoRefreshToggle) {
+            autoRefreshToggle.addEventListener('click', () => {
+                if (this.autoRefresh.enabled) {
+                    this.stopAutoRefresh();
+                } else {
+                    this.startAutoRefresh();
+                }
+            }, { signal });
+            this.renderAutoRefreshToggle();
+        }
+
+        const clearCacheButton = this.qs('#clear-cache');
+        if (clearCacheButton) {
+            clearCacheButton.addEventListener('click', () => this.clearCache(), { signal });
+        }
+
+        const exportCSV = this.qs('#export-csv');
+        if (exportCSV) {
+            exportCSV.addEventListener('click', () => this.exportData('csv'), { signal });
+        }
+
+        const exportJSON = this.qs('#export-json');
+        if (exportJSON) {
+            exportJSON.addEventListener('click', () => this.exportData('json'), { signal });
+        }
+
+        const importFile = this.qs('#import-file');
+        if (importFile) {
+            importFile.addEventListener('change', async () => {
+                const file = importFile.files && importFile.files[0];
+                if (!file) return;
+                this.importData(await file.text());
+                importFile.value = '';
+            }, { signal });
+        }
+
+        const dismissErrors = this.qs('#error-banner-dismiss');
+        if (dismissErrors) {
+            dismissErrors.addEventListener('click', () => this.clearErrors(), { signal });
+        }
+
+        this.setupRangeSelection();
+    }
+
+    handleUnauthorized() {
+        console.warn('GitHub rejected the token (401); continuing in anonymous mode.');
+        this.auth.reportUnauthorized();
+        this.updateAuthPanel('The token was rejected by GitHub. Showing anonymous data.');
+        this.showError('GitHub rejected the token (401). Falling back to anonymous REST data.');
+    }
+
+    setupAuthPanel() {
+        this.updateAuthPanel();
+
+        const form = this.qs('#auth-form');
+        if (!form) return;
+
+        const input = this.qs('#auth-token-input');
+        const forgetButton = this.qs('#auth-forget');
+        const { signal } = this.abortController;
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            if (!input || !input.value.trim()) return;
+            this.auth.setStoredToken(input.value);
+            input.value = '';
+            this.cache.clear();
+            this.updateAuthPanel();
+            this.loadDashboard();
+        }, { signal });
+
+        if (forgetButton) {
+            forgetButton.addEventListener('click', () => {
+                this.auth.setStoredToken(null);
+                this.cache.clear();
+                this.updateAuthPanel();
+                this.loadDashboard();
+            }, { signal });
+        }
+    }
+
+    async updateAuthPanel(message = '') {
+        const token = await this.auth.getToken();
+        this.isAnonymous = !token;
+
+        const panel = this.qs('#auth-panel');
+        if (!panel) return;
+
+        const status = this.qs('#auth-status');
+        const forgetButton = this.qs('#auth-forget');
+        if (status) {
+            status.textContent = message || (token
+                ? 'Using a GitHub token for API requests.'
+                : 'Anonymous mode: limited to public REST data and 60 requests/hour. Paste a token to load full calendars.');
+        }
+        if (forgetButton) {
+            forgetButton.style.display = this.auth.hasStoredToken() ? '' : 'none';
+        }
+        panel.classList.toggle('anonymous', !token);
+    }
+
     setupGlobalListeners() {
-        document.addEventListener('click', (event) => {
-            if (this.activeTooltip && !this.activeTooltip.contains(event.target)) {
+        // composedPath() sees through shadow roots, where event.target is retargeted
+        // to the host element. The click that opened the tooltip (on its anchor)
+        // must not close it again as it bubbles up.
+        this.handleDocumentClick = (event) => {
+            if (!this.activeTooltip) return;
+            const path = event.composedPath();
+            if (!path.includes(this.activeTooltip) && !path.includes(this.activeTooltipAnchor)) {
                 this.hideActivityTooltip();
             }
-        });
+        };
+        document.addEventListener('click', this.handleDocumentClick, { signal: this.abortController.signal });
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange(), { signal: this.abortController.signal });
     }
 
-    showActivityTooltip(dateStr, perUserCounts, usersData, anchorElement) {
+    getOverlayParent() {
+        // Tooltips go to <body> for the page shell, or stay inside the root
+        // (e.g. a shadow root) so its styles apply
+        if (this.root.nodeType === Node.DOCUMENT_NODE) return document.body;
+        return this.qs('.container') || this.getRootElement();
+    }
+
+    showActivityTooltip(dateStr, perUserCounts, usersData, anchorElement, perUserTypes = {}) {
         this.hideActivityTooltip();
 
         const tooltip = document.createElement('div');
         tooltip.className = 'activity-tooltip';
+        tooltip.id = 'activity-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
 
         const title = document.createElement('div');
         title.className = 'tooltip-title';
-        const readableDate = new Date(dateStr).toDateString();
+        const readableDate = CalendarLayout.parseDateKey(dateStr).toDateString();
         title.textContent = `${readableDate}`;
         tooltip.appendChild(title);
 
@@ -938,7 +4663,9 @@ class GitHubDashboard {
 
             const activity = document.createElement('div');
             activity.className = 'user-activity';
-            activity.textContent = `${commitCount} commits, 0 PRs merged`;
+            const label = commitCount === 1 ? 'contribution' : 'contributions';
+            activity.textContent = this.formatTypeBreakdown(perUserTypes[user.login], commitCount)
+                || `${commitCount} ${label}`;
 
             meta.appendChild(handle);
             meta.appendChild(activity);
@@ -949,40 +4676,237 @@ class GitHubDashboard {
             tooltip.appendChild(row);
         });
 
-        document.body.appendChild(tooltip);
+        const overlayParent = this.getOverlayParent();
+        overlayParent.appendChild(tooltip);
         this.activeTooltip = tooltip;
+        this.activeTooltipAnchor = anchorElement;
+        anchorElement.setAttribute('aria-describedby', tooltip.id);
 
+        // A cell reached by keyboard may sit at the viewport edge (or be scrolled
+        // partly out of view), so keep the tooltip on screen: above and to the
+        // right of the cell by default, flipped below / to the left when it won't fit.
         const rect = anchorElement.getBoundingClientRect();
-        const top = rect.top + window.scrollY - tooltip.offsetHeight - 8;
-        const left = rect.left + window.scrollX + rect.width + 8;
-        tooltip.style.top = `${top}px`;
-        tooltip.style.left = `${left}px`;
+        let top = rect.top - tooltip.offsetHeight - 8;
+        if (top < 0) {
+            top = rect.bottom + 8;
+        }
+        let left = rect.right + 8;
+        if (left + tooltip.offsetWidth > document.documentElement.clientWidth) {
+            left = Math.max(rect.left - tooltip.offsetWidth - 8, 0);
+        }
+
+        // Page coordinates on <body>; otherwise relative to the (positioned) overlay parent
+        const origin = overlayParent === document.body
+            ? { top: -window.scrollY, left: -window.scrollX }
+            : overlayParent.getBoundingClientRect();
+        tooltip.style.top = `${top - origin.top}px`;
+        tooltip.style.left = `${left - origin.left}px`;
     }
 
     hideActivityTooltip() {
         if (this.activeTooltip) {
+            if (this.activeTooltipAnchor) {
+                this.activeTooltipAnchor.removeAttribute('aria-describedby');
+            }
             this.activeTooltip.remove();
             this.activeTooltip = null;
+            this.activeTooltipAnchor = null;
         }
     }
 
-    async fetchContributionCalendarFromGraphQL(username, year) {
-        if (!this.githubToken) {
-            console.warn('No GitHub token available for GraphQL contributions fetch.');
-            return null;
+    async showDayDetail(dateStr, perUserCounts, usersData) {
+        const panel = this.qs('#day-detail');
+        if (!panel) return;
+
+        this.selectedDate = dateStr;
+        const activeUsers = usersData.filter(user => (perUserCounts[user.login] || 0) > 0);
+
+        panel.hidden = false;
+        panel.innerHTML = '';
+        panel.appendChild(this.buildDayDetailHeader(dateStr));
+
+        const body = document.createElement('div');
+        body.className = 'day-detail-body';
+        body.textContent = 'Loading repositories...';
+        panel.appendChild(body);
+
+        // Imported data stays offline, so it has no repository detail
+        const details = this.snapshot
+            ? activeUsers.map(() => null)
+            : await Promise.all(activeUsers.map(user => this.fetchDayDetail(user.login, dateStr)));
+
+        // Another day may have been selected while this one was loading
+        if (this.selectedDate !== dateStr) return;
+
+        body.innerHTML = '';
+        activeUsers.forEach((user, index) => {
+            body.appendChild(this.buildDayDetailUser(user, details[index], perUserCounts[user.login]));
+        });
+    }
+
+    hideDayDetail() {
+        const panel = this.qs('#day-detail');
+        if (panel) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+        }
+        this.selectedDate = null;
+    }
+
+    buildDayDetailHeader(dateStr) {
+        const header = document.createElement('div');
+        header.className = 'day-detail-header';
+
+        const title = document.createElement('strong');
+        title.textContent = CalendarLayout.parseDateKey(dateStr).toDateString();
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'day-detail-close';
+        closeButton.setAttribute('aria-label', 'Close day detail');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.hideDayDetail());
+
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        return header;
+    }
+
+    buildDayDetailUser(user, repos, dayTotal) {
+        const section = document.createElement('div');
+        section.className = 'day-detail-user';
+
+        const heading = document.createElement('div');
+        heading.className = 'day-detail-login';
+        heading.textContent = `${user.login}: ${dayTotal} ${dayTotal === 1 ? 'contribution' : 'contributions'}`;
+        section.appendChild(heading);
+
+        if (repos === null) {
+            const note = document.createElement('div');
+            note.className = 'day-detail-note';
+            note.textContent = this.snapshot
+                ? 'Repository detail is not part of imported data.'
+                : 'Repository detail needs a GitHub token (GraphQL).';
+            section.appendChild(note);
+            return section;
+        }
+
+        if (repos.length === 0) {
+            const note = document.createElement('div');
+            note.className = 'day-detail-note';
+            note.textContent = 'No public repository activity recorded (private or restricted contributions).';
+            section.appendChild(note);
+            return section;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'day-detail-repos';
+        repos.forEach(repo => {
+            const item = document.createElement('li');
+
+            const repoLink = document.createElement('a');
+            repoLink.href = repo.url;
+            repoLink.target = '_blank';
+            repoLink.rel = 'noopener';
+            repoLink.textContent = repo.name;
+
+            const counts = document.createElement('span');
+            counts.className = 'day-detail-counts';
+            counts.textContent = this.formatTypeBreakdown(repo.counts);
+
+            item.appendChild(repoLink);
+            item.appendChild(counts);
+
+            if (repo.commitsUrl) {
+                const commitsLink = document.createElement('a');
+                commitsLink.className = 'day-detail-commits';
+                commitsLink.href = repo.commitsUrl;
+                commitsLink.target = '_blank';
+                commitsLink.rel = 'noopener';
+                commitsLink.textContent = 'commits';
+                item.appendChild(commitsLink);
+            }
+
+            if (repo.items.length > 0) {
+                const itemList = document.createElement('ul');
+                repo.items.forEach(entry => {
+                    const entryItem = document.createElement('li');
+                    const entryLink = document.createElement('a');
+                    entryLink.href = entry.url;
+                    entryLink.target = '_blank';
+                    entryLink.rel = 'noopener';
+                    entryLink.textContent = `${entry.kind} #${entry.number}: ${entry.title}`;
+                    entryItem.appendChild(entryLink);
+                    itemList.appendChild(entryItem);
+                });
+                item.appendChild(itemList);
+            }
+
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        return section;
+    }
+
+    async fetchDayDetail(username, dateStr) {
+        // Per-repository activity for a single day; null when GraphQL is unavailable
+        const detailKey = `${username}:${dateStr}`;
+        if (this.dayDetails.has(detailKey)) {
+            return this.dayDetails.get(detailKey);
         }
 
-        const from = `${year}-01-01T00:00:00Z`;
-        const to = `${year}-12-31T23:59:59Z`;
         const query = `
             query($user: String!, $from: DateTime!, $to: DateTime!) {
               user(login: $user) {
                 contributionsCollection(from: $from, to: $to) {
-                  contributionCalendar {
-                    weeks {
-                      contributionDays {
-                        date
-                        contributionCount
+                  commitContributionsByRepository(maxRepositories: 25) {
+                    repository {
+                      nameWithOwner
+                      url
+                    }
+                    contributions(first: 1) {
+                      nodes {
+                        commitCount
+                        url
+                      }
+                    }
+                  }
+                  pullRequestContributions(first: 25) {
+                    nodes {
+                      pullRequest {
+                        number
+                        title
+                        url
+                        repository {
+                          nameWithOwner
+                          url
+                        }
+                      }
+                    }
+                  }
+                  issueContributions(first: 25) {
+                    nodes {
+                      issue {
+                        number
+                        title
+                        url
+                        repository {
+                          nameWithOwner
+                          url
+                        }
+                      }
+                    }
+                  }
+                  pullRequestReviewContributions(first: 25) {
+                    nodes {
+                      pullRequest {
+                        number
+                        title
+                        url
+                      }
+                      repository {
+                        nameWithOwner
+                        url
                       }
                     }
                   }
@@ -990,14 +4914,84 @@ class GitHubDashboard {
               }
             }
         `;
+
+        const timeZone = this.getTimeZone(username);
+        const from = CalendarLayout.toDateTime(dateStr, '00:00:00', timeZone);
+        const to = CalendarLayout.toDateTime(dateStr, '23:59:59', timeZone);
+        const cacheType = dateStr < this.formatDateKey(this.getToday()) ? 'calendarPast' : 'calendar';
+        const result = await this.fetchGraphQL(query, { user: username, from, to }, cacheType);
+        if (!result) {
+            return null;
+        }
+
+        const collection = result?.user?.contributionsCollection || {};
+        const repos = new Map();
+        const getRepo = (repository) => {
+            if (!repos.has(repository.nameWithOwner)) {
+                repos.set(repository.nameWithOwner, {
+                    name: repository.nameWithOwner,
+                    url: repository.url,
+                    commitsUrl: null,
+                    counts: {},
+                    items: []
+                });
+            }
+            return repos.get(repository.nameWithOwner);
+        };
+
+        (collection.commitContributionsByRepository || []).forEach(entry => {
+            const repo = getRepo(entry.repository);
+            (entry.contributions?.nodes || []).forEach(node => {
+                repo.counts.commits = (repo.counts.commits || 0) + (node.commitCount || 0);
+                repo.commitsUrl = node.url || repo.commitsUrl;
+            });
+        });
+        (collection.pullRequestContributions?.nodes || []).forEach(({ pullRequest }) => {
+            if (!pullRequest) return;
+            const repo = getRepo(pullRequest.repository);
+            repo.counts.pullRequests = (repo.counts.pullRequests || 0) + 1;
+            repo.items.push({ kind: 'PR', number: pullRequest.number, title: pullRequest.title, url: pullRequest.url });
+        });
+        (collection.issueContributions?.nodes || []).forEach(({ issue }) => {
+            if (!issue) return;
+            const repo = getRepo(issue.repository);
+            repo.counts.issues = (repo.counts.issues || 0) + 1;
+            repo.items.push({ kind: 'Issue', number: issue.number, title: issue.title, url: issue.url });
+        });
+        (collection.pullRequestReviewContributions?.nodes || []).forEach(({ pullRequest, repository }) => {
+            if (!repository) return;
+            const repo = getRepo(repository);
+            repo.counts.reviews = (repo.counts.reviews || 0) + 1;
+            if (pullRequest) {
+                repo.items.push({ kind: 'Review on PR', number: pullRequest.number, title: pullRequest.title, url: pullRequest.url });
+            }
+        });
+
+        const detail = [...repos.values()];
+        this.dayDetails.set(detailKey, detail);
+        return detail;
+    }
+
+    async fetchContributionCalendarFromGraphQL(username, year) {
+        const { from, to } = this.getCalendarRange(year, username);
+        const query = this.getCalendarQuery();
         
-        const result = await this.fetchGraphQL(query, { user: username, from, to });
+        const result = await this.fetchGraphQL(query, { user: username, from, to }, this.getCalendarCacheType(year));
 
         if (!result) {
             return null;
         }
 
-        const weeks = result?.user?.contributionsCollection?.contributionCalendar?.weeks || [];
+        return {
+            ...this.parseContributionsCollection(result?.user?.contributionsCollection || {}, this.getTimeZone(username)),
+            status: this.describeStatus(this.getFetchStatus(this.getGraphQLCacheKey(query, { user: username, from, to })))
+        };
+    }
+
+    parseContributionsCollection(collection, timeZone = this.timeZone) {
+        // { days, dayTypes, typeTotals } from a contributionsCollection with CALENDAR_FIELDS;
+        // typed contributions are bucketed by their timestamp in `timeZone`
+        const weeks = collection.contributionCalendar?.weeks || [];
         const contributionData = {};
         weeks.forEach(week => {
             week.contributionDays.forEach(day => {
@@ -1007,11 +5001,149 @@ class GitHubDashboard {
             });
         });
 
-        return contributionData;
+        const dayTypes = {};
+        const addDayType = (occurredAt, key, count = 1) => {
+            if (!occurredAt) return;
+            const date = CalendarLayout.dateKeyAt(occurredAt, timeZone);
+            dayTypes[date] = dayTypes[date] || {};
+            dayTypes[date][key] = (dayTypes[date][key] || 0) + count;
+        };
+        (collection.commitContributionsByRepository || []).forEach(repo => {
+            (repo.contributions?.nodes || []).forEach(node => addDayType(node.occurredAt, 'commits', node.commitCount));
+        });
+        (collection.pullRequestContributions?.nodes || []).forEach(node => addDayType(node.occurredAt, 'pullRequests'));
+        (collection.issueContributions?.nodes || []).forEach(node => addDayType(node.occurredAt, 'issues'));
+        (collection.pullRequestReviewContributions?.nodes || []).forEach(node => addDayType(node.occurredAt, 'reviews'));
+
+        return {
+            days: contributionData,
+            dayTypes,
+            typeTotals: {
+                commits: collection.totalCommitContributions || 0,
+                pullRequests: collection.totalPullRequestContributions || 0,
+                issues: collection.totalIssueContributions || 0,
+                reviews: collection.totalPullRequestReviewContributions || 0
+            }
+        };
+    }
+}
+
+// <github-multi-dashboard users="alice,bob" years="2"> — a self-contained dashboard
+// in a shadow root. Several can share a page: ids are scoped to each shadow root.
+if (typeof HTMLElement !== 'undefined' && typeof customElements !== 'undefined') {
+    class GitHubMultiDashboardElement extends HTMLElement {
+        // styles.css from next to this script, captured while the script is evaluated
+        static STYLESHEET = document.currentScript && document.currentScript.src
+            ? new URL('styles.css', document.currentScript.src).href
+            : 'styles.css';
+
+        static HOST_STYLES = `
+            :host {
+                display: block;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+                line-height: 1.5;
+            }
+            :host([hidden]) {
+                display: none;
+            }
+            /* The instance theme is set on .container, so text colour is taken from there */
+            .container {
+                position: relative;
+                min-height: 0;
+                color: var(--color-text);
+            }
+        `;
+
+        // Reused across instances so they share one cache index
+        static sharedCache = null;
+
+        static get observedAttributes() {
+            return ['users', 'years', 'theme'];
+        }
+
+        get api() {
+            // The GitHubDashboard behind this element (setUsers, setYears, refresh, on, ...)
+            return this.dashboard || null;
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this.dashboard || oldValue === newValue) return;
+            const reportError = (error) => console.error(`Error applying the ${name} attribute:`, error);
+            if (name === 'users' && newValue) {
+                this.dashboard.setUsers(newValue).catch(reportError);
+            } else if (name === 'years') {
+                this.dashboard.setYears(GitHubMultiDashboardElement.parseYears(newValue)).catch(reportError);
+            } else if (name === 'theme') {
+                this.dashboard.setTheme(newValue);
+            }
+        }
+
+        disconnectedCallback() {
+            if (this.dashboard) {
+                this.dashboard.destroy();
+                this.dashboard = null;
+            }
+        }
+
+        connectedCallback() {
+            if (this.dashboard) return;
+
+            const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+            const stylesheet = this.getAttribute('stylesheet') || GitHubMultiDashboardElement.STYLESHEET;
+            shadow.innerHTML = `
+                <link rel="stylesheet" href="${CalendarSVG.escape(stylesheet)}">
+                <style>${GitHubMultiDashboardElement.HOST_STYLES}</style>
+                ${GitHubDashboard.MARKUP}
+            `;
+
+            GitHubMultiDashboardElement.sharedCache = GitHubMultiDashboardElement.sharedCache || new ApiCache();
+            this.dashboard = new GitHubDashboard({
+                root: shadow,
+                cache: GitHubMultiDashboardElement.sharedCache,
+                users: this.getAttribute('users') || undefined,
+                org: this.getAttribute('org') || undefined,
+                years: GitHubMultiDashboardElement.parseYears(this.getAttribute('years')),
+                from: this.getAttribute('from') || undefined,
+                to: this.getAttribute('to') || undefined,
+                mode: this.getAttribute('mode') || undefined,
+                scale: this.getAttribute('scale') || undefined,
+                colorMode: this.getAttribute('color-mode') || undefined,
+                timeZone: this.getAttribute('time-zone') || undefined,
+                theme: this.getAttribute('theme') || undefined,
+                layout: this.getAttribute('layout') || undefined
+            });
+        }
+
+        static parseYears(value) {
+            // "2" is a count of recent years; "2024" or "2024,2022" are explicit years
+            if (!value) return undefined;
+            const years = value.split(/[\s,]+/).map(Number).filter(Number.isInteger);
+            if (years.length === 1 && years[0] < 1000) return years[0];
+            return years.length > 0 ? years : undefined;
+        }
+    }
+
+    if (!customElements.get('github-multi-dashboard')) {
+        customElements.define('github-multi-dashboard', GitHubMultiDashboardElement);
     }
 }
 
-// Initialize the dashboard when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new GitHubDashboard();
-});
+// Initialize the page-shell dashboard when the page loads. <body data-dashboard>
+// (index.html) gets GitHubDashboard.MARKUP inserted; pages that carry the markup
+// themselves start as they are, and pages that only use <github-multi-dashboard>
+// are left alone
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!document.getElementById('all-years-container') && document.body.hasAttribute('data-dashboard')) {
+            document.body.insertAdjacentHTML('afterbegin', GitHubDashboard.MARKUP);
+        }
+        if (document.getElementById('all-years-container')) {
+            new GitHubDashboard();
+        }
+    });
+}
+
+// Under Node the DOM-free helpers can be required directly, e.g. to render an SVG badge offline
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalendarLayout, CalendarSVG, ContributionStats };
+}